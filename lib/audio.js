@@ -0,0 +1,100 @@
+// ============================================================
+// G.711 μ-LAW AUDIO HELPERS
+// Twilio Media Streams and the Realtime API (g711_ulaw) both use
+// 8kHz mono μ-law, sent in 20ms (160 byte) frames.
+// ============================================================
+
+import { readFileSync } from 'fs';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Audio');
+
+export const SAMPLE_RATE = 8000;
+export const FRAME_BYTES = 160;
+export const FRAME_MS = 20;
+
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+export function decodeMulaw(byte) {
+  const u = ~byte & 0xff;
+  const sign = u & 0x80;
+  const exponent = (u >> 4) & 0x07;
+  const mantissa = u & 0x0f;
+  const sample = (((mantissa << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+  return sign ? -sample : sample;
+}
+
+export function encodeMulaw(sample) {
+  const sign = sample < 0 ? 0x80 : 0;
+  let magnitude = Math.min(Math.abs(sample), MULAW_CLIP) + MULAW_BIAS;
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) exponent--;
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+// μ-law buffer -> Int16Array of linear PCM samples
+export function mulawToPcm(buffer) {
+  const pcm = new Int16Array(buffer.length);
+  for (let i = 0; i < buffer.length; i++) pcm[i] = decodeMulaw(buffer[i]);
+  return pcm;
+}
+
+// Playback length of a base64 μ-law payload (one byte per sample)
+export function mulawDurationMs(payload) {
+  const padding = payload.endsWith('==') ? 2 : payload.endsWith('=') ? 1 : 0;
+  return ((payload.length * 3) / 4 - padding) / (SAMPLE_RATE / 1000);
+}
+
+// Split a μ-law buffer into base64 20ms frames ready for Twilio media events
+export function toFrames(buffer) {
+  const frames = [];
+  for (let i = 0; i < buffer.length; i += FRAME_BYTES) {
+    frames.push(buffer.subarray(i, i + FRAME_BYTES).toString('base64'));
+  }
+  return frames;
+}
+
+// Soft 425Hz ringback-style tone: 1s on, 4s off (the Brazilian ringback cadence)
+function generateHoldTone() {
+  const onSamples = SAMPLE_RATE;
+  const buffer = Buffer.alloc(SAMPLE_RATE * 5, encodeMulaw(0));
+  for (let i = 0; i < onSamples; i++) {
+    buffer[i] = encodeMulaw(Math.round(4000 * Math.sin((2 * Math.PI * 425 * i) / SAMPLE_RATE)));
+  }
+  return buffer;
+}
+
+const clips = new Map(); // env variable -> frames, or null when unset or unreadable
+
+// Frames of a raw 8kHz μ-law clip named by an env variable, read once
+function loadClip(envName) {
+  if (clips.has(envName)) return clips.get(envName);
+  const file = process.env[envName];
+  let frames = null;
+  if (file) {
+    try {
+      const buffer = readFileSync(file);
+      if (buffer.length > 0) frames = toFrames(buffer);
+    } catch (error) {
+      log.error('clip.read_failed', `Failed to read ${envName}`, { file, error });
+    }
+  }
+  clips.set(envName, frames);
+  return frames;
+}
+
+let holdTone = null;
+
+// Hold audio frames: HOLD_AUDIO_FILE (raw 8kHz μ-law) if set, else a generated tone
+export function getHoldFrames() {
+  return loadClip('HOLD_AUDIO_FILE') || (holdTone ??= toFrames(generateHoldTone()));
+}
+
+// Looped to the caller while the OpenAI session reconnects and the voice is
+// OpenAI's own: RECONNECT_AUDIO_FILE (e.g. "one moment, please" followed by
+// a pause), else the hold audio
+export function getReconnectFrames() {
+  return loadClip('RECONNECT_AUDIO_FILE') || getHoldFrames();
+}
@@ -0,0 +1,105 @@
+// ============================================================
+// ACCESS CONTROL
+// /media-stream accepts a connection when any configured check passes:
+//   - X-Twilio-Signature over the upgrade URL (when TWILIO_AUTH_TOKEN is set)
+//   - ?token=STREAM_SECRET, or a short-lived token from createStreamToken()
+// With neither configured every stream is rejected; MEDIA_STREAM_AUTH=off
+// opens /media-stream to anyone (local development, the simulator).
+// ALLOWED_SCRIPT_IDS (comma-separated) restricts which scripts can be run.
+//
+// Admin HTTP routes use Authorization: Bearer ADMIN_TOKEN (default MONITOR_TOKEN).
+// CORS_ALLOWED_ORIGINS (comma-separated, or *) lists browser origins.
+// ============================================================
+
+import { createHmac } from 'crypto';
+import { parse } from 'url';
+import { getBearerToken, isTokenValid } from './http.js';
+import { canValidateTwilioSignatures, isValidTwilioSignature, PUBLIC_BASE_URL } from './twilio.js';
+
+const STREAM_SECRET = process.env.STREAM_SECRET;
+const STREAM_TOKEN_TTL_SECONDS = parseInt(process.env.STREAM_TOKEN_TTL_SECONDS || '300', 10);
+const MEDIA_STREAM_AUTH = (process.env.MEDIA_STREAM_AUTH || 'on').toLowerCase();
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || process.env.MONITOR_TOKEN;
+
+const ALLOWED_SCRIPT_IDS = (process.env.ALLOWED_SCRIPT_IDS || '')
+  .split(',').map((id) => id.trim()).filter(Boolean);
+const CORS_ALLOWED_ORIGINS = (process.env.CORS_ALLOWED_ORIGINS || '')
+  .split(',').map((origin) => origin.trim()).filter(Boolean);
+
+// WebSocket close code for rejected connections
+export const CLOSE_POLICY_VIOLATION = 1008;
+
+export function isMediaStreamAuthDisabled() {
+  return MEDIA_STREAM_AUTH === 'off';
+}
+
+// Whether any stream can pass: a Twilio auth token or STREAM_SECRET is set
+export function isMediaStreamAuthConfigured() {
+  return canValidateTwilioSignatures() || !!STREAM_SECRET;
+}
+
+function streamTokenSignature(expiresAt) {
+  return createHmac('sha256', STREAM_SECRET).update(`media-stream.${expiresAt}`).digest('base64url');
+}
+
+// Token for a TwiML <Stream> URL; null when STREAM_SECRET isn't set
+export function createStreamToken(ttlSeconds = STREAM_TOKEN_TTL_SECONDS) {
+  if (!STREAM_SECRET) return null;
+  const expiresAt = Math.floor(Date.now() / 1000) + ttlSeconds;
+  return `${expiresAt}.${streamTokenSignature(expiresAt)}`;
+}
+
+function isStreamTokenValid(token) {
+  if (!STREAM_SECRET || typeof token !== 'string') return false;
+  if (isTokenValid(token, STREAM_SECRET)) return true;
+
+  const [expiresAt, signature] = token.split('.');
+  if (!/^\d+$/.test(expiresAt || '') || Number(expiresAt) < Date.now() / 1000) return false;
+  return isTokenValid(signature, streamTokenSignature(expiresAt));
+}
+
+// Twilio signs the wss:// URL it was given in the TwiML
+function upgradeUrls(req) {
+  const urls = [`wss://${req.headers.host}${req.url}`];
+  if (PUBLIC_BASE_URL) urls.unshift(`${PUBLIC_BASE_URL.replace(/^http/, 'ws')}${req.url}`);
+  return urls;
+}
+
+// Returns { ok, method } or { ok: false, reason }
+export function authorizeMediaStream(req) {
+  const { query } = parse(req.url, true);
+
+  if (query.scriptId && !isScriptAllowed(query.scriptId)) {
+    return { ok: false, reason: 'Script not allowed' };
+  }
+  if (isMediaStreamAuthDisabled()) return { ok: true, method: 'none' };
+  if (!isMediaStreamAuthConfigured()) return { ok: false, reason: 'Media stream auth not configured' };
+
+  const signature = req.headers['x-twilio-signature'];
+  if (signature && upgradeUrls(req).some((url) => isValidTwilioSignature(url, {}, signature))) {
+    return { ok: true, method: 'twilio' };
+  }
+  if (isStreamTokenValid(query.token)) return { ok: true, method: 'token' };
+  return { ok: false, reason: 'Unauthorized' };
+}
+
+export function isScriptAllowed(scriptId) {
+  if (ALLOWED_SCRIPT_IDS.length === 0) return true;
+  return scriptId != null && ALLOWED_SCRIPT_IDS.includes(String(scriptId));
+}
+
+export function isAdminRequest(req) {
+  return isTokenValid(getBearerToken(req), ADMIN_TOKEN);
+}
+
+// Sets CORS headers for allowed origins only
+export function applyCors(req, res) {
+  const origin = req.headers.origin;
+  res.setHeader('Vary', 'Origin');
+  if (!origin) return;
+  if (CORS_ALLOWED_ORIGINS.includes('*') || CORS_ALLOWED_ORIGINS.includes(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  }
+}
@@ -0,0 +1,61 @@
+// ============================================================
+// SILENCE, STALL AND MAXIMUM DURATION TIMERS
+// Per-call timers the server runs on its own:
+//   - caller silence once the assistant has finished speaking: reprompt,
+//     and after repeated silence say goodbye and hang up
+//   - the AI stalling: no assistant audio this long after a user turn
+//     gets a recovery sentence; if it keeps stalling the call ends
+//   - a hard maximum call duration, ended with a wrap-up sentence
+// Every ending is recorded as its own call outcome (TIMER_OUTCOMES).
+//
+// The timers are off unless the script or the environment sets them
+// (CALL_SILENCE_SECONDS, CALL_STALL_SECONDS, CALL_MAX_DURATION_SECONDS),
+// so existing scripts keep calls going as long as they did before.
+//
+// scriptData.timers = {
+//   silenceSeconds: 10,              0 disables the silence handling
+//   silencePrompts: 2,               reprompts before saying goodbye
+//   silencePrompt, silenceGoodbye,   spoken sentences (defaults per locale)
+//   stallSeconds: 8,                 0 disables the stall detection
+//   stallRetries: 1,                 recoveries before ending the call
+//   stallPrompt,
+//   maxDurationSeconds: 900,         0 disables the limit
+//   wrapUp,
+// }
+// ============================================================
+
+import { DEFAULT_LOCALE, getLocale } from './locale.js';
+
+const CALL_SILENCE_SECONDS = parseInt(process.env.CALL_SILENCE_SECONDS || '0', 10);
+const CALL_STALL_SECONDS = parseInt(process.env.CALL_STALL_SECONDS || '0', 10);
+const CALL_MAX_DURATION_SECONDS = parseInt(process.env.CALL_MAX_DURATION_SECONDS || '0', 10);
+
+export const TIMER_OUTCOMES = ['silence_timeout', 'ai_stalled', 'max_duration'];
+
+function seconds(value, fallback) {
+  return Number.isFinite(value) && value >= 0 ? value * 1000 : fallback * 1000;
+}
+
+function count(value, fallback) {
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+function text(value, fallback) {
+  return typeof value === 'string' && value.trim() ? value.trim() : fallback;
+}
+
+export function resolveCallTimers(scriptData, locale = DEFAULT_LOCALE) {
+  const config = scriptData?.timers || {};
+  const prompts = getLocale(locale).spoken;
+  return {
+    silenceMs: seconds(config.silenceSeconds, CALL_SILENCE_SECONDS),
+    silencePrompts: count(config.silencePrompts, 2),
+    silencePrompt: text(config.silencePrompt, prompts.silencePrompt),
+    silenceGoodbye: text(config.silenceGoodbye, prompts.silenceGoodbye),
+    stallMs: seconds(config.stallSeconds, CALL_STALL_SECONDS),
+    stallRetries: count(config.stallRetries, 1),
+    stallPrompt: text(config.stallPrompt, prompts.stallPrompt),
+    maxDurationMs: seconds(config.maxDurationSeconds, CALL_MAX_DURATION_SECONDS),
+    wrapUp: text(config.wrapUp, prompts.wrapUp),
+  };
+}
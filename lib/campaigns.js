@@ -0,0 +1,494 @@
+// ============================================================
+// OUTBOUND CAMPAIGN DIALER
+// Campaigns place calls through a Twilio-compatible REST API. Each call
+// is connected to /media-stream with scriptId/contactPhone/campaignId as
+// customParameters, and the contact's outcome is resolved from the
+// session data (interest) and Twilio's status callback (no answer, busy,
+// voicemail). The two arrive in either order; an answered call is only
+// settled once both are in (or SETTLE_TIMEOUT_MS after the first). Contacts are only dialed inside the campaign's callingWindows
+// (or CALLING_WINDOWS, in the contact's timezone if given) and never while
+// on the do-not-call list (lib/compliance.js).
+//
+// Campaign state is kept in CAMPAIGNS_FILE (JSONL: the campaign when it is
+// created, then every contact and status change) and replayed at startup,
+// so a restart resumes each campaign with its attempts and retry schedule.
+// Calls that were connected to the previous process settle from their
+// status callback.
+// ============================================================
+
+import { randomUUID } from 'crypto';
+import { readFileSync } from 'fs';
+import { appendFile, mkdir } from 'fs/promises';
+import { dirname, resolve } from 'path';
+import { parse } from 'url';
+import { readParsedBody, sendJson } from './http.js';
+import {
+  createCall, buildStreamTwiml, isTwilioConfigured, isTwilioWebhookValid, TWILIO_FROM_NUMBER, PUBLIC_BASE_URL,
+} from './twilio.js';
+import { createStreamToken, isAdminRequest } from './auth.js';
+import { isMachineAnsweredBy } from './voicemail.js';
+import {
+  resolveCallingHours, isWithinCallingHours, isValidWindow, isValidTimezone, isOnDoNotCallList,
+} from './compliance.js';
+import { validateSessionSettings } from './sessionConfig.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Campaign');
+
+const CAMPAIGNS_FILE = resolve(process.env.CAMPAIGNS_FILE || './data/campaigns.jsonl');
+const CAMPAIGN_TICK_MS = parseInt(process.env.CAMPAIGN_TICK_MS || '5000', 10);
+
+// A call with no status callback after this long is considered failed
+const DIAL_STALE_MS = 15 * 60 * 1000;
+// Once the final status or the session has arrived, how long to wait for the other
+const SETTLE_TIMEOUT_MS = 2 * 60 * 1000;
+
+const DEFAULT_RETRY = { maxAttempts: 3, delayMinutes: 30, retryOn: ['no_answer', 'busy', 'failed'] };
+
+const campaigns = new Map();
+const callIndex = new Map(); // callSid -> { campaign, contact }
+let tickTimer = null;
+let writeQueue = Promise.resolve();
+
+// ============================================================
+// PERSISTENCE
+// ============================================================
+function persist(entry) {
+  writeQueue = writeQueue
+    .then(async () => {
+      await mkdir(dirname(CAMPAIGNS_FILE), { recursive: true });
+      await appendFile(CAMPAIGNS_FILE, `${JSON.stringify(entry)}\n`);
+    })
+    .catch((error) => log.error('campaign.write_failed', 'Could not write the campaign state', { file: CAMPAIGNS_FILE, error }));
+  return writeQueue;
+}
+
+function saveContact(campaign, contact) {
+  persist({ campaignId: campaign.id, index: campaign.contacts.indexOf(contact), contact });
+}
+
+function saveStatus(campaign) {
+  persist({ campaignId: campaign.id, update: { status: campaign.status, completedAt: campaign.completedAt || null } });
+}
+
+// Read synchronously at startup, before any status callback can arrive
+function loadCampaigns() {
+  let raw;
+  try {
+    raw = readFileSync(CAMPAIGNS_FILE, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') log.error('campaign.load_failed', 'Could not read the campaign state', { file: CAMPAIGNS_FILE, error });
+    return;
+  }
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (entry.campaign) {
+        campaigns.set(entry.campaign.id, entry.campaign);
+        continue;
+      }
+      const campaign = campaigns.get(entry.campaignId);
+      if (!campaign) continue;
+      if (entry.contact) campaign.contacts[entry.index] = entry.contact;
+      else Object.assign(campaign, entry.update);
+    } catch {
+      log.warn('campaign.bad_line', 'Skipping unreadable campaign entry');
+    }
+  }
+
+  let running = 0;
+  for (const campaign of campaigns.values()) {
+    if (campaign.status === 'running') running++;
+    for (const contact of campaign.contacts) {
+      if (!contact.callSid || !['dialing', 'in_progress'].includes(contact.status)) continue;
+      callIndex.set(contact.callSid, { campaign, contact });
+      // The media stream ended with the previous process: only the status callback is left
+      if (contact.status === 'in_progress') contact.reportedAt ??= Date.now();
+    }
+  }
+  log.info('campaign.loaded', 'Campaigns loaded', { campaigns: campaigns.size, running });
+  if (running > 0) ensureTicking();
+}
+
+// ============================================================
+// DIALING
+// ============================================================
+// Twilio fetches the call's TwiML from /campaigns/twiml once it is answered,
+// so the AMD result (AnsweredBy) can be passed on to the media stream
+async function placeCall(campaign, contact) {
+  const twimlParams = new URLSearchParams({ campaignId: campaign.id, contactPhone: contact.phone });
+  return createCall({
+    To: contact.phone,
+    From: campaign.fromNumber,
+    Url: `${PUBLIC_BASE_URL}/campaigns/twiml?${twimlParams}`,
+    StatusCallback: `${PUBLIC_BASE_URL}/campaigns/twilio-status`,
+    Timeout: campaign.ringTimeoutSeconds,
+    MachineDetection: campaign.machineDetection ? 'Enable' : null,
+  });
+}
+
+// ============================================================
+// CAMPAIGN LIFECYCLE
+// ============================================================
+function validateCampaign(input) {
+  if (!input || typeof input !== 'object') return 'body must be a JSON object';
+  if (!input.scriptId) return 'scriptId is required';
+  if (!Array.isArray(input.contacts) || input.contacts.length === 0) return 'contacts must be a non-empty array';
+  for (const c of input.contacts) {
+    const phone = typeof c === 'string' ? c : c?.phone;
+    if (!/^\+?\d{8,15}$/.test(phone || '')) return `invalid contact phone: ${phone}`;
+    if (c?.timezone != null && !isValidTimezone(c.timezone)) return `invalid contact timezone: ${c.timezone}`;
+  }
+  if (input.concurrency != null && !(Number.isInteger(input.concurrency) && input.concurrency > 0)) {
+    return 'concurrency must be a positive integer';
+  }
+  if (input.callingWindows != null) {
+    if (!Array.isArray(input.callingWindows) || !input.callingWindows.every(isValidWindow)) {
+      return 'callingWindows must be [{ days?: [0-6], start: "HH:MM", end: "HH:MM" }]';
+    }
+  }
+  if (input.timezone != null && !isValidTimezone(input.timezone)) return `invalid timezone: ${input.timezone}`;
+  if (input.session != null) {
+    const error = validateSessionSettings(input.session);
+    if (error) return `session.${error}`;
+  }
+  if (!input.fromNumber && !TWILIO_FROM_NUMBER) return 'fromNumber is required (or set TWILIO_FROM_NUMBER)';
+  return null;
+}
+
+function createCampaign(input) {
+  const campaign = {
+    id: randomUUID(),
+    name: input.name || null,
+    scriptId: String(input.scriptId),
+    fromNumber: input.fromNumber || TWILIO_FROM_NUMBER,
+    concurrency: input.concurrency || 1,
+    callingWindows: input.callingWindows || [],
+    timezone: input.timezone || 'America/Sao_Paulo',
+    retry: { ...DEFAULT_RETRY, ...input.retry },
+    ringTimeoutSeconds: input.ringTimeoutSeconds || 30,
+    machineDetection: input.machineDetection !== false,
+    session: input.session || null, // overrides the script's session settings
+    status: 'running',
+    createdAt: new Date().toISOString(),
+    contacts: input.contacts.map((c) => {
+      const contact = typeof c === 'string' ? { phone: c } : c;
+      return {
+        phone: contact.phone,
+        name: contact.name || null,
+        timezone: contact.timezone || null, // calling windows are checked in the contact's timezone
+        status: 'pending', // pending | dialing | in_progress | done
+        outcome: null, // no_answer | busy | failed | voicemail | completed | interested | silence_timeout | ai_stalled | max_duration | opted_out | do_not_call
+        attempts: 0,
+        callSid: null,
+        nextAttemptAt: 0,
+        lastAttemptAt: null,
+        session: null,
+        finalStatus: null, // { CallStatus, AnsweredBy } from Twilio's status callback
+        reportedAt: null, // when the first of finalStatus/session arrived
+        history: [],
+      };
+    }),
+  };
+  campaigns.set(campaign.id, campaign);
+  persist({ campaign });
+  log.info('campaign.created', 'Campaign created', { campaignId: campaign.id, contacts: campaign.contacts.length, scriptId: campaign.scriptId });
+  ensureTicking();
+  return campaign;
+}
+
+function summarize(campaign) {
+  const counts = {};
+  for (const c of campaign.contacts) {
+    const key = c.status === 'done' ? c.outcome : c.status;
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  const { contacts, ...rest } = campaign;
+  return { ...rest, totalContacts: contacts.length, counts };
+}
+
+// Record an attempt's outcome and decide whether the contact is retried
+function finishAttempt(campaign, contact, outcome) {
+  if (contact.callSid) callIndex.delete(contact.callSid);
+  contact.history.push({ callSid: contact.callSid, outcome, at: new Date().toISOString() });
+  contact.outcome = outcome;
+
+  const { maxAttempts, delayMinutes, retryOn } = campaign.retry;
+  if (retryOn.includes(outcome) && contact.attempts < maxAttempts) {
+    contact.status = 'pending';
+    contact.nextAttemptAt = Date.now() + delayMinutes * 60 * 1000;
+    log.info('contact.retry_scheduled', 'Contact will be retried', {
+      campaignId: campaign.id, callSid: contact.callSid, phone: contact.phone, outcome,
+      attempt: contact.attempts + 1, maxAttempts, delayMinutes,
+    });
+  } else {
+    contact.status = 'done';
+    log.info('contact.done', 'Contact finished', { campaignId: campaign.id, callSid: contact.callSid, phone: contact.phone, outcome });
+  }
+  saveContact(campaign, contact);
+  maybeComplete(campaign);
+}
+
+function maybeComplete(campaign) {
+  if (campaign.status !== 'running') return;
+  if (campaign.contacts.every((c) => c.status === 'done')) {
+    campaign.status = 'completed';
+    campaign.completedAt = new Date().toISOString();
+    saveStatus(campaign);
+    log.info('campaign.completed', 'Campaign completed', { campaignId: campaign.id });
+  }
+}
+
+async function dialContact(campaign, contact) {
+  contact.status = 'dialing';
+  contact.attempts++;
+  contact.lastAttemptAt = new Date().toISOString();
+  contact.session = null;
+  contact.finalStatus = null;
+  contact.reportedAt = null;
+  try {
+    contact.callSid = await placeCall(campaign, contact);
+    callIndex.set(contact.callSid, { campaign, contact });
+    saveContact(campaign, contact);
+    log.info('contact.dialing', 'Dialing contact', { campaignId: campaign.id, callSid: contact.callSid, phone: contact.phone, attempt: contact.attempts });
+  } catch (error) {
+    log.error('contact.dial_failed', 'Failed to dial contact', { campaignId: campaign.id, phone: contact.phone, error });
+    contact.callSid = null;
+    finishAttempt(campaign, contact, 'failed');
+  }
+}
+
+function tick() {
+  const now = Date.now();
+  let running = 0;
+
+  for (const campaign of campaigns.values()) {
+    if (campaign.status !== 'running') continue;
+    running++;
+
+    for (const contact of campaign.contacts) {
+      if (contact.status === 'dialing' && now - Date.parse(contact.lastAttemptAt) > DIAL_STALE_MS) {
+        log.error('contact.stale', 'No status callback, marking failed', { campaignId: campaign.id, callSid: contact.callSid });
+        finishAttempt(campaign, contact, 'failed');
+      } else if (contact.status === 'in_progress' && contact.reportedAt && now - contact.reportedAt > SETTLE_TIMEOUT_MS) {
+        log.warn('contact.unsettled', 'Settling the call without its other half', {
+          campaignId: campaign.id, callSid: contact.callSid, hasStatus: !!contact.finalStatus, hasSession: !!contact.session,
+        });
+        finishAttempt(campaign, contact, resolveOutcome(contact));
+      }
+    }
+    if (campaign.status !== 'running') continue;
+
+    let inFlight = campaign.contacts.filter((c) => c.status === 'dialing' || c.status === 'in_progress').length;
+    for (const contact of campaign.contacts) {
+      if (inFlight >= campaign.concurrency) break;
+      if (contact.status !== 'pending' || contact.nextAttemptAt > now) continue;
+      if (isOnDoNotCallList(contact.phone)) {
+        contact.callSid = null;
+        finishAttempt(campaign, contact, 'do_not_call');
+        continue;
+      }
+      if (!isWithinCallingHours(resolveCallingHours(campaign.callingWindows, contact.timezone, campaign.timezone))) continue;
+      inFlight++;
+      dialContact(campaign, contact);
+    }
+  }
+
+  if (running === 0 && tickTimer) {
+    clearInterval(tickTimer);
+    tickTimer = null;
+  }
+}
+
+function ensureTicking() {
+  if (tickTimer) return;
+  tickTimer = setInterval(tick, CAMPAIGN_TICK_MS);
+  tickTimer.unref();
+  setImmediate(tick);
+}
+
+// ============================================================
+// MEDIA STREAM HOOKS
+// ============================================================
+
+// Called from the start event of /media-stream
+// Session settings (voice, VAD, model...) the campaign overrides for its calls
+export function getCampaignSessionSettings(campaignId) {
+  return campaigns.get(campaignId)?.session || null;
+}
+
+export function reportCallStarted(callSid) {
+  const entry = callIndex.get(callSid);
+  if (!entry || entry.contact.status !== 'dialing') return;
+  entry.contact.status = 'in_progress';
+  saveContact(entry.campaign, entry.contact);
+}
+
+// Outcome from the final status and the session; a session without a status
+// callback means the call was answered
+function resolveOutcome(contact) {
+  const { CallStatus: status = 'completed', AnsweredBy: answeredBy } = contact.finalStatus || {};
+  if (status === 'busy') return 'busy';
+  if (status === 'no-answer') return 'no_answer';
+  if (status === 'failed' || status === 'canceled') return 'failed';
+  if (isMachineAnsweredBy(answeredBy) || contact.session?.voicemail) return 'voicemail';
+  if (contact.session?.interested || contact.session?.transferred) return 'interested';
+  if (contact.session?.endReason) return contact.session.endReason;
+  return 'completed';
+}
+
+// A call that reached the media stream is settled when both halves are in
+function settleIfComplete(campaign, contact) {
+  const streamed = contact.status === 'in_progress';
+  if (!contact.finalStatus || (streamed && !contact.session)) {
+    contact.reportedAt ??= Date.now();
+    saveContact(campaign, contact);
+    return;
+  }
+  finishAttempt(campaign, contact, resolveOutcome(contact));
+}
+
+// Called when the media stream ends, with what the session collected
+export function reportCallEnded(callSid, session) {
+  const entry = callIndex.get(callSid);
+  if (!entry) return;
+  entry.contact.session = session;
+  settleIfComplete(entry.campaign, entry.contact);
+}
+
+// Twilio status callback: final CallStatus (+ AnsweredBy when AMD is on)
+function handleStatusCallback(params) {
+  const entry = callIndex.get(params.CallSid);
+  if (!entry) return;
+  if (!['completed', 'busy', 'no-answer', 'failed', 'canceled'].includes(params.CallStatus)) return;
+  entry.contact.finalStatus = { CallStatus: params.CallStatus, AnsweredBy: params.AnsweredBy || null };
+  settleIfComplete(entry.campaign, entry.contact);
+}
+
+loadCampaigns();
+
+// ============================================================
+// HTTP API (Authorization: Bearer ADMIN_TOKEN, except Twilio's signed callbacks)
+// POST /campaigns                  create and start a campaign
+// GET  /campaigns                  list campaigns
+// GET  /campaigns/:id              campaign with per-contact outcomes
+// POST /campaigns/:id/pause|resume|cancel
+// POST /campaigns/twiml            TwiML for answered campaign calls
+// POST /campaigns/twilio-status    Twilio status callback
+// ============================================================
+export async function handleCampaignRoute(req, res, pathname) {
+  if (!pathname.startsWith('/campaigns')) return false;
+  const segments = pathname.split('/').filter(Boolean);
+
+  if (req.method === 'POST' && segments[1] === 'twiml') {
+    const { query } = parse(req.url, true);
+    let params;
+    try {
+      params = await readParsedBody(req);
+    } catch (error) {
+      sendJson(res, 400, { error: `invalid body: ${error.message}` });
+      return true;
+    }
+    if (!isTwilioWebhookValid(req, params)) {
+      sendJson(res, 403, { error: 'invalid signature' });
+      return true;
+    }
+    const campaign = campaigns.get(query.campaignId);
+    const twiml = campaign
+      ? buildStreamTwiml({
+        scriptId: campaign.scriptId,
+        contactPhone: query.contactPhone,
+        campaignId: campaign.id,
+        answeredBy: params.AnsweredBy,
+      }, { token: createStreamToken() })
+      : '<Response><Hangup/></Response>';
+    res.writeHead(200, { 'Content-Type': 'text/xml' });
+    res.end(twiml);
+    return true;
+  }
+
+  if (req.method === 'POST' && segments[1] === 'twilio-status') {
+    let params;
+    try {
+      params = await readParsedBody(req);
+    } catch (error) {
+      sendJson(res, 400, { error: `invalid body: ${error.message}` });
+      return true;
+    }
+    if (!isTwilioWebhookValid(req, params)) {
+      sendJson(res, 403, { error: 'invalid signature' });
+      return true;
+    }
+    handleStatusCallback(params);
+    res.writeHead(204);
+    res.end();
+    return true;
+  }
+
+  // Everything else manages campaigns
+  if (!isAdminRequest(req)) {
+    sendJson(res, 401, { error: 'unauthorized' });
+    return true;
+  }
+
+  if (segments.length === 1) {
+    if (req.method === 'GET') {
+      sendJson(res, 200, { campaigns: [...campaigns.values()].map(summarize) });
+      return true;
+    }
+    if (req.method === 'POST') {
+      if (!isTwilioConfigured()) {
+        sendJson(res, 503, { error: 'TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and PUBLIC_BASE_URL must be set' });
+        return true;
+      }
+      let input;
+      try {
+        input = await readParsedBody(req);
+      } catch (error) {
+        sendJson(res, 400, { error: `invalid body: ${error.message}` });
+        return true;
+      }
+      const validationError = validateCampaign(input);
+      if (validationError) {
+        sendJson(res, 400, { error: validationError });
+        return true;
+      }
+      sendJson(res, 201, summarize(createCampaign(input)));
+      return true;
+    }
+  }
+
+  const campaign = campaigns.get(segments[1]);
+  if (!campaign) {
+    sendJson(res, 404, { error: 'campaign not found' });
+    return true;
+  }
+
+  if (segments.length === 2 && req.method === 'GET') {
+    sendJson(res, 200, { ...summarize(campaign), contacts: campaign.contacts });
+    return true;
+  }
+
+  if (segments.length === 3 && req.method === 'POST' && ['pause', 'resume', 'cancel'].includes(segments[2])) {
+    const action = segments[2];
+    if (action === 'pause' && campaign.status === 'running') {
+      campaign.status = 'paused';
+    } else if (action === 'resume' && campaign.status === 'paused') {
+      campaign.status = 'running';
+      ensureTicking();
+    } else if (action === 'cancel' && ['running', 'paused'].includes(campaign.status)) {
+      campaign.status = 'cancelled';
+    } else {
+      sendJson(res, 409, { error: `cannot ${action} a ${campaign.status} campaign` });
+      return true;
+    }
+    saveStatus(campaign);
+    log.info(`campaign.${campaign.status}`, `Campaign ${campaign.status}`, { campaignId: campaign.id });
+    sendJson(res, 200, summarize(campaign));
+    return true;
+  }
+
+  sendJson(res, 405, { error: 'method not allowed' });
+  return true;
+}
@@ -0,0 +1,161 @@
+// ============================================================
+// CAPACITY, RATE LIMITING AND DRAIN
+// MAX_CONCURRENT_CALLS caps the media streams open at once, counted from the
+// moment a connection is accepted (it opens an OpenAI socket right away,
+// before its start event), and MAX_CALLS_PER_SCRIPT, or
+// scriptData.maxConcurrentCalls, caps the calls in flight (activeSessions)
+// per script (0 = unlimited). New /media-stream connections are rate limited per
+// source IP with RATE_LIMIT_PER_MINUTE; Twilio connects from a small pool of
+// addresses, so keep it well above the expected call rate.
+//
+// Draining refuses new streams at the upgrade while live calls, including
+// streams accepted just before the drain, finish along with their post-call
+// work (final transcript save, call analysis), for up to DRAIN_TIMEOUT_MS. GET /ready reports 503 while draining or at capacity,
+// so a load balancer can rotate the instance out (/health stays liveness).
+//
+// Admin (Authorization: Bearer ADMIN_TOKEN):
+//   POST /admin/drain     stop accepting new streams
+//   POST /admin/resume    accept new streams again
+// ============================================================
+
+import { sendJson } from './http.js';
+import { isAdminRequest } from './auth.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Capacity');
+
+const MAX_CONCURRENT_CALLS = parseInt(process.env.MAX_CONCURRENT_CALLS || '0', 10);
+const MAX_CALLS_PER_SCRIPT = parseInt(process.env.MAX_CALLS_PER_SCRIPT || '0', 10);
+const RATE_LIMIT_PER_MINUTE = parseInt(process.env.RATE_LIMIT_PER_MINUTE || '120', 10);
+const DRAIN_TIMEOUT_MS = parseInt(process.env.DRAIN_TIMEOUT_MS || '600000', 10);
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true';
+
+const RATE_WINDOW_MS = 60 * 1000;
+
+// WebSocket close codes for streams turned away
+export const CLOSE_TRY_AGAIN_LATER = 1013;
+export const CLOSE_GOING_AWAY = 1001;
+
+const connectionLog = new Map(); // ip -> connection timestamps in the last window
+let openStreams = 0; // accepted /media-stream connections, started or not
+let draining = false;
+let shuttingDown = false;
+
+// Forget addresses that haven't connected for a full window
+setInterval(() => {
+  const cutoff = Date.now() - RATE_WINDOW_MS;
+  for (const [ip, times] of connectionLog) {
+    if (times[times.length - 1] < cutoff) connectionLog.delete(ip);
+  }
+}, RATE_WINDOW_MS).unref();
+
+export function getClientIp(req) {
+  if (TRUST_PROXY && req.headers['x-forwarded-for']) {
+    return req.headers['x-forwarded-for'].split(',')[0].trim();
+  }
+  return req.socket.remoteAddress;
+}
+
+// Records the connection and reports whether the address is over its limit
+export function isRateLimited(ip, now = Date.now()) {
+  if (RATE_LIMIT_PER_MINUTE <= 0) return false;
+  const times = (connectionLog.get(ip) || []).filter((t) => t > now - RATE_WINDOW_MS);
+  times.push(now);
+  connectionLog.set(ip, times);
+  return times.length > RATE_LIMIT_PER_MINUTE;
+}
+
+export function isDraining() {
+  return draining;
+}
+
+// Reason a new media stream can't be accepted right now, or null
+export function checkGlobalCapacity() {
+  if (draining) return 'Draining';
+  if (MAX_CONCURRENT_CALLS > 0 && openStreams >= MAX_CONCURRENT_CALLS) return 'At capacity';
+  return null;
+}
+
+// Count an accepted media stream until its socket closes
+export function trackStream(ws) {
+  openStreams++;
+  ws.once('close', () => { openStreams--; });
+}
+
+// Calls of the same script that started before this one count against its limit
+export function checkScriptCapacity(activeSessions, streamSid, scriptId, scriptData) {
+  const limit = scriptData?.maxConcurrentCalls ?? MAX_CALLS_PER_SCRIPT;
+  if (!scriptId || !(limit > 0)) return null;
+
+  let earlier = 0;
+  for (const session of activeSessions.values()) {
+    if (session.streamSid === streamSid) break;
+    if (session.scriptId === scriptId) earlier++;
+  }
+  return earlier >= limit ? 'Script at capacity' : null; // also the close reason, which is capped at 123 bytes
+}
+
+// Stop taking streams and call onDrained once every accepted stream has
+// closed and pendingWork (a Set of promises) is empty. Calls still running after
+// DRAIN_TIMEOUT_MS are closed (which queues their final transcript).
+export function startDrain(activeSessions, pendingWork, onDrained) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  draining = true;
+  const deadline = Date.now() + DRAIN_TIMEOUT_MS;
+
+  const timer = setInterval(() => {
+    if (openStreams === 0 && activeSessions.size === 0 && pendingWork.size === 0) {
+      clearInterval(timer);
+      onDrained();
+      return;
+    }
+    if (Date.now() < deadline) return;
+
+    clearInterval(timer);
+    log.warn('drain.timeout', 'Drain timeout, closing remaining calls', { activeCalls: activeSessions.size, pendingWork: pendingWork.size });
+    for (const session of activeSessions.values()) {
+      session.twilioWs.close(CLOSE_GOING_AWAY, 'Server shutting down');
+    }
+    setTimeout(onDrained, 1000);
+  }, 1000);
+}
+
+export function getReadiness(activeSessions) {
+  const reason = checkGlobalCapacity();
+  return {
+    ready: !reason,
+    reason,
+    activeCalls: activeSessions.size,
+    openStreams,
+    maxCalls: MAX_CONCURRENT_CALLS || null,
+  };
+}
+
+// GET /ready, POST /admin/drain, POST /admin/resume
+export async function handleCapacityRoute(req, res, pathname, activeSessions) {
+  if (pathname === '/ready' && req.method === 'GET') {
+    const readiness = getReadiness(activeSessions);
+    sendJson(res, readiness.ready ? 200 : 503, readiness);
+    return true;
+  }
+
+  if (pathname !== '/admin/drain' && pathname !== '/admin/resume') return false;
+  if (!isAdminRequest(req)) {
+    sendJson(res, 401, { error: 'unauthorized' });
+    return true;
+  }
+  if (req.method !== 'POST') {
+    sendJson(res, 404, { error: 'not found' });
+    return true;
+  }
+
+  if (shuttingDown) {
+    sendJson(res, 409, { error: 'server is shutting down' });
+    return true;
+  }
+  draining = pathname === '/admin/drain';
+  log.info(draining ? 'drain.started' : 'drain.resumed', draining ? 'Draining: new streams are refused' : 'Resumed: accepting new streams');
+  sendJson(res, 200, getReadiness(activeSessions));
+  return true;
+}
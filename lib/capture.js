@@ -0,0 +1,195 @@
+// ============================================================
+// CALL CAPTURE
+// With CALL_CAPTURE=true every call writes CALL_CAPTURE_DIR/<callSid>.jsonl:
+// a meta line, then every Twilio and OpenAI event in both directions with
+// its offset from the moment the media stream connected. The script (and
+// campaign session settings) the call ran with are included, so
+// `npm run replay -- <file>` can reproduce the call offline.
+//
+// Audio payloads are replaced by their size unless CALL_CAPTURE_AUDIO=true;
+// input_audio_buffer.append is never captured (it mirrors Twilio media).
+//
+// Line format: { t, source: twilio|openai|backend, dir: in|out, conn?, event }
+// conn numbers the OpenAI connections of the call (reconnects, model switch).
+// event.type "_open" / "_close" mark socket lifecycle; an openai "in" _close
+// without a preceding "out" _close was a drop by the remote side.
+//
+// Admin (Authorization: Bearer ADMIN_TOKEN):
+//   GET /admin/captures          list captured calls
+//   GET /admin/captures/:id      download one capture (JSONL)
+// ============================================================
+
+import { mkdir, writeFile, readdir, stat } from 'fs/promises';
+import { createReadStream } from 'fs';
+import { join, resolve } from 'path';
+import { sendJson } from './http.js';
+import { isAdminRequest } from './auth.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Capture');
+
+const CALL_CAPTURE = process.env.CALL_CAPTURE === 'true';
+const CALL_CAPTURE_DIR = resolve(process.env.CALL_CAPTURE_DIR || './captures');
+const CALL_CAPTURE_AUDIO = process.env.CALL_CAPTURE_AUDIO === 'true';
+
+export function isCaptureEnabled() {
+  return CALL_CAPTURE;
+}
+
+function payloadBytes(base64) {
+  return Math.floor((base64.length * 3) / 4);
+}
+
+// Swap audio for its size, keeping everything the session logic reads
+function stripAudio(event) {
+  if (CALL_CAPTURE_AUDIO) return event;
+  if (event.event === 'media' && event.media?.payload) {
+    const { payload, ...media } = event.media;
+    return { ...event, media: { ...media, payloadBytes: payloadBytes(payload) } };
+  }
+  if (/^response\.(output_)?audio\.delta$/.test(event.type) && event.delta) {
+    const { delta, ...rest } = event;
+    return { ...rest, deltaBytes: payloadBytes(delta) };
+  }
+  return event;
+}
+
+function parse(data) {
+  if (typeof data !== 'string' && !Buffer.isBuffer(data)) return data;
+  try {
+    return JSON.parse(data.toString());
+  } catch {
+    return { type: '_unparsed', data: data.toString().slice(0, 200) };
+  }
+}
+
+// One capture per media stream connection; null when capture is off
+export function createCallCapture(requestUrl) {
+  if (!CALL_CAPTURE) return null;
+
+  const startedAt = Date.now();
+  const meta = { type: '_meta', version: 1, startedAt: new Date(startedAt).toISOString(), url: requestUrl, audio: CALL_CAPTURE_AUDIO };
+  const lines = [];
+  const closed = new Set();
+  let openaiConnections = 0;
+  let saved = false;
+
+  function record(source, dir, event, conn) {
+    if (saved) return;
+    const parsed = parse(event);
+    if (parsed?.type === 'input_audio_buffer.append') return;
+    lines.push({ t: Date.now() - startedAt, source, dir, ...(conn != null && { conn }), event: stripAudio(parsed) });
+  }
+
+  async function save() {
+    if (saved) return;
+    saved = true;
+    const id = meta.callSid || meta.streamSid || `call-${startedAt}`;
+    const file = join(CALL_CAPTURE_DIR, `${id}.jsonl`);
+    try {
+      await mkdir(CALL_CAPTURE_DIR, { recursive: true });
+      await writeFile(file, [meta, ...lines].map((line) => JSON.stringify(line)).join('\n') + '\n');
+      log.info('capture.saved', 'Call capture saved', { callSid: meta.callSid, file, events: lines.length });
+    } catch (error) {
+      log.error('capture.save_failed', 'Failed to save call capture', { callSid: meta.callSid, error });
+    }
+  }
+
+  return {
+    // callSid, streamSid, scriptId, ... once the start event is in
+    setMeta(fields) {
+      Object.assign(meta, fields);
+    },
+
+    twilioIn: (data) => record('twilio', 'in', data),
+    backend: (event) => record('backend', 'in', event),
+
+    // Record everything the server sends on the Twilio socket
+    wrapTwilio(ws) {
+      const send = ws.send.bind(ws);
+      const close = ws.close.bind(ws);
+      ws.send = (data, ...rest) => {
+        record('twilio', 'out', data);
+        return send(data, ...rest);
+      };
+      ws.close = (code, reason) => {
+        record('twilio', 'out', { type: '_close', code, reason });
+        return close(code, reason);
+      };
+    },
+
+    // Record both directions of an OpenAI socket; call before adding listeners
+    wrapOpenAI(socket) {
+      const conn = ++openaiConnections;
+      const send = socket.send.bind(socket);
+      const close = socket.close.bind(socket);
+      socket.send = (data, ...rest) => {
+        record('openai', 'out', data, conn);
+        return send(data, ...rest);
+      };
+      socket.close = (...args) => {
+        record('openai', 'out', { type: '_close' }, conn);
+        return close(...args);
+      };
+      socket.on('open', () => record('openai', 'in', { type: '_open' }, conn));
+      socket.on('message', (data) => record('openai', 'in', data, conn));
+      socket.on('close', (code) => record('openai', 'in', { type: '_close', code }, conn));
+    },
+
+    // The file is written once both the Twilio and the OpenAI side have closed
+    closed(source, code) {
+      if (source === 'twilio') record('twilio', 'in', { type: '_close', code });
+      closed.add(source);
+      if (closed.has('twilio') && closed.has('openai')) save();
+    },
+  };
+}
+
+// ============================================================
+// ADMIN ROUTES
+// ============================================================
+export async function handleCaptureRoute(req, res, pathname) {
+  if (!pathname.startsWith('/admin/captures')) return false;
+
+  if (!isAdminRequest(req)) {
+    sendJson(res, 401, { error: 'unauthorized' });
+    return true;
+  }
+
+  const id = pathname.slice('/admin/captures'.length).replace(/^\//, '');
+  if (req.method !== 'GET' || (id && !/^[A-Za-z0-9_-]+$/.test(id))) {
+    sendJson(res, 404, { error: 'not found' });
+    return true;
+  }
+
+  if (!id) {
+    let names = [];
+    try {
+      names = (await readdir(CALL_CAPTURE_DIR)).filter((name) => name.endsWith('.jsonl'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    const captures = await Promise.all(names.map(async (name) => {
+      const info = await stat(join(CALL_CAPTURE_DIR, name));
+      return { id: name.replace(/\.jsonl$/, ''), bytes: info.size, savedAt: info.mtime.toISOString() };
+    }));
+    sendJson(res, 200, { captures: captures.sort((a, b) => b.savedAt.localeCompare(a.savedAt)) });
+    return true;
+  }
+
+  const file = join(CALL_CAPTURE_DIR, `${id}.jsonl`);
+  let info;
+  try {
+    info = await stat(file);
+  } catch {
+    sendJson(res, 404, { error: 'capture not found' });
+    return true;
+  }
+  res.writeHead(200, {
+    'Content-Type': 'application/x-ndjson',
+    'Content-Length': info.size,
+    'Content-Disposition': `attachment; filename="${id}.jsonl"`,
+  });
+  createReadStream(file).pipe(res);
+  return true;
+}
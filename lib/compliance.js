@@ -0,0 +1,227 @@
+// ============================================================
+// DO-NOT-CALL LIST AND CALLING HOURS
+// Numbers that asked not to be called again are kept in DO_NOT_CALL_FILE
+// (JSONL, appended on every change and replayed at startup). A listed
+// number is rejected before its media stream is accepted and skipped by the
+// campaign dialer. Removal requests come from speech (intent opt_out) or a
+// keypad menu option { action: 'opt_out' }: the assistant confirms, the call
+// ends with the opted_out outcome and the backend gets an opt-out event.
+//
+// Calling hours: windows [{ days: [1,2,3,4,5], start: '09:00', end: '20:00' }]
+// (days 0 = Sunday) evaluated in a timezone. They are enforced when dialing,
+// so inbound calls and calls already answered are never cut off. A campaign
+// uses its own callingWindows, else CALLING_WINDOWS (JSON); the timezone is
+// the contact's, else the campaign's, else CALLING_TIMEZONE (default
+// America/Sao_Paulo).
+//
+// scriptData.optOut = { message }    confirmation said before hanging up
+//
+// Admin (Authorization: Bearer ADMIN_TOKEN):
+//   GET    /admin/do-not-call                  listed numbers
+//   POST   /admin/do-not-call { phone, reason } add a number
+//   DELETE /admin/do-not-call/:phone           remove it (consent given again)
+// ============================================================
+
+import { readFileSync } from 'fs';
+import { appendFile, mkdir } from 'fs/promises';
+import { dirname, resolve } from 'path';
+import { readParsedBody, sendJson } from './http.js';
+import { isAdminRequest } from './auth.js';
+import { DEFAULT_LOCALE, getLocale } from './locale.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Compliance');
+
+const DO_NOT_CALL_FILE = resolve(process.env.DO_NOT_CALL_FILE || './data/do-not-call.jsonl');
+const CALLING_TIMEZONE = process.env.CALLING_TIMEZONE || 'America/Sao_Paulo';
+const CALLING_WINDOWS = parseWindows(process.env.CALLING_WINDOWS);
+
+// ============================================================
+// CALLING HOURS
+// ============================================================
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+export function isWithinCallingWindow(windows, timezone, date = new Date()) {
+  if (!windows || windows.length === 0) return true;
+
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+    }).formatToParts(date).map((p) => [p.type, p.value])
+  );
+  const day = WEEKDAYS[parts.weekday];
+  const time = `${parts.hour}:${parts.minute}`;
+
+  return windows.some((w) =>
+    (!w.days || w.days.includes(day)) && time >= w.start && time < w.end
+  );
+}
+
+export function isValidWindow(w) {
+  return w && /^\d{2}:\d{2}$/.test(w.start) && /^\d{2}:\d{2}$/.test(w.end) && w.start < w.end
+    && (!w.days || (Array.isArray(w.days) && w.days.every((d) => Number.isInteger(d) && d >= 0 && d <= 6)));
+}
+
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function parseWindows(raw) {
+  if (!raw) return [];
+  try {
+    const windows = JSON.parse(raw);
+    if (Array.isArray(windows) && windows.every(isValidWindow)) return windows;
+  } catch {
+    // reported below
+  }
+  log.error('calling_hours.invalid', 'Ignoring invalid CALLING_WINDOWS');
+  return [];
+}
+
+// Windows and timezone for a number about to be dialed; timezones in order of preference
+export function resolveCallingHours(windows, ...timezones) {
+  return {
+    windows: windows?.length ? windows : CALLING_WINDOWS,
+    timezone: [...timezones, CALLING_TIMEZONE].find((tz) => tz && isValidTimezone(tz)),
+  };
+}
+
+export function isWithinCallingHours({ windows, timezone }, date = new Date()) {
+  return isWithinCallingWindow(windows, timezone, date);
+}
+
+// ============================================================
+// DO-NOT-CALL LIST
+// ============================================================
+const doNotCall = new Map(); // normalized phone -> { phone, reason, source, callSid, addedAt }
+let writeQueue = Promise.resolve();
+
+// '+55 (11) 98765-4321' and '5511987654321' are the same number
+export function normalizePhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 8 ? digits : null;
+}
+
+// Read synchronously at startup so no stream is accepted before the list is known
+function loadDoNotCallList() {
+  let raw;
+  try {
+    raw = readFileSync(DO_NOT_CALL_FILE, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') log.error('dnc.load_failed', 'Could not read the do-not-call list', { file: DO_NOT_CALL_FILE, error });
+    return;
+  }
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      const key = normalizePhone(entry.phone);
+      if (!key) continue;
+      if (entry.removed) doNotCall.delete(key);
+      else doNotCall.set(key, entry);
+    } catch {
+      log.warn('dnc.bad_line', 'Skipping unreadable do-not-call entry');
+    }
+  }
+  log.info('dnc.loaded', 'Do-not-call list loaded', { numbers: doNotCall.size });
+}
+
+function persist(entry) {
+  writeQueue = writeQueue
+    .then(async () => {
+      await mkdir(dirname(DO_NOT_CALL_FILE), { recursive: true });
+      await appendFile(DO_NOT_CALL_FILE, `${JSON.stringify(entry)}\n`);
+    })
+    .catch((error) => log.error('dnc.write_failed', 'Could not write the do-not-call list', { file: DO_NOT_CALL_FILE, error }));
+  return writeQueue;
+}
+
+export function isOnDoNotCallList(phone) {
+  const key = normalizePhone(phone);
+  return !!key && doNotCall.has(key);
+}
+
+// details: { reason, source: speech|dtmf|admin, callSid, scriptId }
+export function addToDoNotCallList(phone, details = {}) {
+  const key = normalizePhone(phone);
+  if (!key) return null;
+  if (doNotCall.has(key)) return doNotCall.get(key);
+  const entry = { phone, ...details, addedAt: new Date().toISOString() };
+  doNotCall.set(key, entry);
+  log.info('dnc.added', 'Number added to the do-not-call list', { phone, source: details.source, callSid: details.callSid });
+  persist(entry);
+  return entry;
+}
+
+export function removeFromDoNotCallList(phone) {
+  const key = normalizePhone(phone);
+  if (!key || !doNotCall.has(key)) return false;
+  doNotCall.delete(key);
+  log.info('dnc.removed', 'Number removed from the do-not-call list', { phone });
+  persist({ phone, removed: true, removedAt: new Date().toISOString() });
+  return true;
+}
+
+export function resolveOptOutMessage(scriptData, locale = DEFAULT_LOCALE) {
+  const message = scriptData?.optOut?.message;
+  if (typeof message === 'string' && message.trim()) return message.trim();
+  return getLocale(locale).spoken.optOut;
+}
+
+loadDoNotCallList();
+
+// ============================================================
+// ADMIN ROUTES
+// ============================================================
+export async function handleDoNotCallRoute(req, res, pathname) {
+  if (pathname !== '/admin/do-not-call' && !pathname.startsWith('/admin/do-not-call/')) return false;
+
+  if (!isAdminRequest(req)) {
+    sendJson(res, 401, { error: 'unauthorized' });
+    return true;
+  }
+
+  if (req.method === 'GET' && pathname === '/admin/do-not-call') {
+    sendJson(res, 200, { numbers: [...doNotCall.values()] });
+    return true;
+  }
+
+  if (req.method === 'POST' && pathname === '/admin/do-not-call') {
+    let input;
+    try {
+      input = await readParsedBody(req);
+    } catch (error) {
+      sendJson(res, 400, { error: `invalid body: ${error.message}` });
+      return true;
+    }
+    if (!normalizePhone(input?.phone)) {
+      sendJson(res, 400, { error: 'phone is required' });
+      return true;
+    }
+    const entry = addToDoNotCallList(input.phone, { reason: input.reason || null, source: 'admin' });
+    sendJson(res, 201, entry);
+    return true;
+  }
+
+  const encodedPhone = pathname.slice('/admin/do-not-call/'.length);
+  if (req.method === 'DELETE' && encodedPhone) {
+    let phone;
+    try {
+      phone = decodeURIComponent(encodedPhone);
+    } catch {
+      sendJson(res, 400, { error: 'invalid phone in path' });
+      return true;
+    }
+    const removed = removeFromDoNotCallList(phone);
+    sendJson(res, removed ? 200 : 404, removed ? { removed: true } : { error: 'number is not on the list' });
+    return true;
+  }
+
+  sendJson(res, 404, { error: 'not found' });
+  return true;
+}
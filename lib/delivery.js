@@ -0,0 +1,339 @@
+// ============================================================
+// BACKEND DELIVERY QUEUE
+// Every webhook to the Zenix backend goes through a file-backed queue
+// (DELIVERY_DIR/pending, one JSON file per delivery), so a restart or a
+// backend outage doesn't lose transcripts. Failed attempts are retried with
+// exponential backoff; after DELIVERY_MAX_ATTEMPTS, or on a non-retryable
+// 4xx, the delivery moves to DELIVERY_DIR/dead until it is replayed.
+//
+// Each request carries:
+//   Idempotency-Key      stable per call/event, for deduplication on the backend
+//   X-Zenix-Event        event type (transcription, interest, ...)
+//   X-Zenix-Signature    t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+//                        with WEBHOOK_SECRET (omitted when it isn't set)
+//
+// Admin (Authorization: Bearer ADMIN_TOKEN, default MONITOR_TOKEN):
+//   GET  /admin/deliveries?status=pending|dead
+//   GET  /admin/deliveries/:id                      includes the payload
+//   POST /admin/deliveries/:id/replay
+//   POST /admin/deliveries/replay                    replay every dead delivery
+// ============================================================
+
+import { createHmac, randomUUID } from 'crypto';
+import { mkdir, readdir, readFile, writeFile, rename, unlink } from 'fs/promises';
+import { join, resolve } from 'path';
+import { sendJson } from './http.js';
+import { isAdminRequest } from './auth.js';
+import { metrics } from './metrics.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Delivery');
+
+const API_BASE_URL = process.env.API_BASE_URL || 'https://zenix.group';
+const DELIVERY_DIR = resolve(process.env.DELIVERY_DIR || './deliveries');
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
+const DELIVERY_MAX_ATTEMPTS = parseInt(process.env.DELIVERY_MAX_ATTEMPTS || '8', 10);
+const DELIVERY_TIMEOUT_MS = parseInt(process.env.DELIVERY_TIMEOUT_MS || '10000', 10);
+const DELIVERY_CONCURRENCY = parseInt(process.env.DELIVERY_CONCURRENCY || '4', 10);
+const DELIVERY_TICK_MS = 1000;
+const BACKOFF_BASE_MS = 2000;
+const BACKOFF_MAX_MS = 10 * 60 * 1000;
+
+const PENDING_DIR = join(DELIVERY_DIR, 'pending');
+const DEAD_DIR = join(DELIVERY_DIR, 'dead');
+
+const pending = new Map(); // id -> delivery
+const dead = new Map();
+const writes = new Map(); // id -> promise chain, keeps file operations per delivery in order
+let inFlight = 0;
+let tickTimer = null;
+let dirsReady = null;
+
+// ============================================================
+// PERSISTENCE
+// ============================================================
+function persist(id, operation) {
+  const chain = (writes.get(id) || Promise.resolve())
+    .then(operation)
+    .catch((error) => log.error('delivery.persist_failed', 'Failed to persist delivery', { deliveryId: id, error }));
+  writes.set(id, chain);
+  chain.then(() => {
+    if (writes.get(id) === chain) writes.delete(id);
+  });
+  return chain;
+}
+
+function ensureDirs() {
+  dirsReady ||= Promise.all([mkdir(PENDING_DIR, { recursive: true }), mkdir(DEAD_DIR, { recursive: true })]);
+  return dirsReady;
+}
+
+async function writeAtomic(dir, delivery) {
+  await ensureDirs();
+  const file = join(dir, `${delivery.id}.json`);
+  await writeFile(`${file}.tmp`, JSON.stringify(delivery));
+  await rename(`${file}.tmp`, file);
+}
+
+function savePending(delivery) {
+  return persist(delivery.id, () => writeAtomic(PENDING_DIR, delivery));
+}
+
+function moveTo(delivery, fromDir, toDir) {
+  return persist(delivery.id, async () => {
+    await writeAtomic(toDir, delivery);
+    await unlink(join(fromDir, `${delivery.id}.json`)).catch(() => {});
+  });
+}
+
+async function loadDir(dir, target) {
+  for (const name of await readdir(dir)) {
+    if (!name.endsWith('.json')) continue;
+    try {
+      const delivery = JSON.parse(await readFile(join(dir, name), 'utf8'));
+      target.set(delivery.id, delivery);
+    } catch (error) {
+      log.error('delivery.unreadable', 'Skipping unreadable delivery file', { file: name, error });
+    }
+  }
+}
+
+// ============================================================
+// QUEUE
+// ============================================================
+
+// path: backend path (or absolute URL); idempotencyKey identifies the event.
+// Deliveries with the same coalesceKey that haven't been sent yet are replaced,
+// so e.g. periodic transcript saves only send the latest one. One that is
+// already in flight is superseded: it isn't retried, and the new one waits for
+// it so an older save can't land after a newer one.
+export function enqueueDelivery({ event, path, body, callSid = null, idempotencyKey, coalesceKey = null }) {
+  const siblings = coalesceKey ? [...pending.values()].filter((d) => d.coalesceKey === coalesceKey) : [];
+  for (const sibling of siblings.filter((d) => d.sending)) {
+    sibling.superseded = true;
+    savePending(sibling);
+  }
+  const delivery = siblings.find((d) => !d.sending) || {
+    id: randomUUID(),
+    event,
+    coalesceKey,
+    attempts: 0,
+    createdAt: new Date().toISOString(),
+  };
+  Object.assign(delivery, {
+    url: /^https?:\/\//.test(path) ? path : `${API_BASE_URL}${path}`,
+    body: JSON.stringify(body),
+    callSid,
+    idempotencyKey,
+    nextAttemptAt: Date.now(),
+    lastError: null,
+  });
+  pending.set(delivery.id, delivery);
+  savePending(delivery);
+  processQueue();
+  return delivery.id;
+}
+
+// Resolves once every queued change has reached the disk
+export function flushDeliveries() {
+  return Promise.all(writes.values());
+}
+
+function sign(body) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = createHmac('sha256', WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+function backoffMs(attempts) {
+  const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (attempts - 1));
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+function deliveryFields(delivery) {
+  return {
+    deliveryId: delivery.id,
+    deliveryEvent: delivery.event,
+    callSid: delivery.callSid,
+    idempotencyKey: delivery.idempotencyKey,
+    attempts: delivery.attempts,
+  };
+}
+
+function isRetryable(status) {
+  return status >= 500 || status === 408 || status === 429;
+}
+
+async function attempt(delivery) {
+  delivery.sending = true;
+  delivery.attempts++;
+  let retryable = true;
+
+  try {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Idempotency-Key': delivery.idempotencyKey,
+      'X-Zenix-Event': delivery.event,
+      'X-Zenix-Delivery': delivery.id,
+    };
+    if (WEBHOOK_SECRET) headers['X-Zenix-Signature'] = sign(delivery.body);
+
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers,
+      body: delivery.body,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+    });
+    if (response.ok) {
+      discard(delivery);
+      log.info('delivery.sent', 'Delivered', deliveryFields(delivery));
+      return;
+    }
+    retryable = isRetryable(response.status);
+    delivery.lastError = `HTTP ${response.status}`;
+  } catch (error) {
+    delivery.lastError = error.message;
+  } finally {
+    delivery.sending = false;
+  }
+  metrics.webhookFailures.inc({ event: delivery.event });
+
+  if (delivery.superseded) {
+    log.info('delivery.superseded', 'Attempt failed, a newer delivery replaces it', { ...deliveryFields(delivery), error: delivery.lastError });
+    discard(delivery);
+    return;
+  }
+  if (!retryable || delivery.attempts >= DELIVERY_MAX_ATTEMPTS) {
+    log.error('delivery.dead_lettered', 'Dead-lettered', { ...deliveryFields(delivery), error: delivery.lastError });
+    metrics.webhookDeadLetters.inc({ event: delivery.event });
+    pending.delete(delivery.id);
+    dead.set(delivery.id, { ...delivery, deadAt: new Date().toISOString() });
+    moveTo(dead.get(delivery.id), PENDING_DIR, DEAD_DIR);
+    return;
+  }
+
+  delivery.nextAttemptAt = Date.now() + backoffMs(delivery.attempts);
+  log.warn('delivery.retry_scheduled', 'Attempt failed, retrying', {
+    ...deliveryFields(delivery),
+    error: delivery.lastError,
+    retryInSeconds: Math.round((delivery.nextAttemptAt - Date.now()) / 1000),
+  });
+  savePending(delivery);
+}
+
+function discard(delivery) {
+  pending.delete(delivery.id);
+  persist(delivery.id, () => unlink(join(PENDING_DIR, `${delivery.id}.json`)).catch(() => {}));
+}
+
+// A delivery waits while one it supersedes is still in flight
+function waitsForSibling(delivery) {
+  if (!delivery.coalesceKey) return false;
+  for (const other of pending.values()) {
+    if (other !== delivery && other.sending && other.coalesceKey === delivery.coalesceKey) return true;
+  }
+  return false;
+}
+
+function processQueue() {
+  const now = Date.now();
+  for (const delivery of pending.values()) {
+    if (inFlight >= DELIVERY_CONCURRENCY) return;
+    if (delivery.sending || delivery.nextAttemptAt > now || waitsForSibling(delivery)) continue;
+    inFlight++;
+    attempt(delivery).finally(() => {
+      inFlight--;
+      processQueue();
+    });
+  }
+}
+
+// Load what a previous process left behind and start retrying it
+export async function startDeliveryWorker() {
+  await ensureDirs();
+  await loadDir(PENDING_DIR, pending);
+  await loadDir(DEAD_DIR, dead);
+  for (const delivery of pending.values()) {
+    delivery.sending = false;
+    if (delivery.superseded) discard(delivery);
+  }
+  if (pending.size > 0 || dead.size > 0) {
+    log.info('delivery.restored', 'Restored deliveries from disk', { pending: pending.size, dead: dead.size });
+  }
+
+  if (!tickTimer) {
+    tickTimer = setInterval(processQueue, DELIVERY_TICK_MS);
+    tickTimer.unref();
+  }
+  processQueue();
+}
+
+function replay(id) {
+  const delivery = dead.get(id);
+  if (!delivery) return false;
+  dead.delete(id);
+  const { deadAt, ...rest } = delivery;
+  const revived = { ...rest, attempts: 0, nextAttemptAt: Date.now(), lastError: null, sending: false };
+  pending.set(id, revived);
+  moveTo(revived, DEAD_DIR, PENDING_DIR);
+  return true;
+}
+
+// ============================================================
+// ADMIN ROUTES
+// ============================================================
+function summarize(delivery) {
+  const { body, sending, ...rest } = delivery;
+  return { ...rest, bodyBytes: body.length };
+}
+
+export async function handleDeliveryRoute(req, res, pathname) {
+  if (!pathname.startsWith('/admin/deliveries')) return false;
+
+  if (!isAdminRequest(req)) {
+    sendJson(res, 401, { error: 'unauthorized' });
+    return true;
+  }
+
+  const segments = pathname.split('/').filter(Boolean); // ['admin', 'deliveries', ...]
+
+  if (req.method === 'GET' && segments.length === 2) {
+    const { searchParams } = new URL(req.url, 'http://localhost');
+    const status = searchParams.get('status');
+    const list = (map, state) => [...map.values()].map((d) => ({ ...summarize(d), status: state }));
+    const deliveries = [
+      ...(status !== 'dead' ? list(pending, 'pending') : []),
+      ...(status !== 'pending' ? list(dead, 'dead') : []),
+    ];
+    sendJson(res, 200, { deliveries });
+    return true;
+  }
+
+  if (req.method === 'GET' && segments.length === 3) {
+    const delivery = pending.get(segments[2]) || dead.get(segments[2]);
+    if (!delivery) sendJson(res, 404, { error: 'delivery not found' });
+    else sendJson(res, 200, { ...summarize(delivery), status: dead.has(delivery.id) ? 'dead' : 'pending', body: JSON.parse(delivery.body) });
+    return true;
+  }
+
+  if (req.method === 'POST' && segments[2] === 'replay' && segments.length === 3) {
+    const ids = [...dead.keys()];
+    ids.forEach(replay);
+    processQueue();
+    sendJson(res, 200, { replayed: ids.length });
+    return true;
+  }
+
+  if (req.method === 'POST' && segments[3] === 'replay' && segments.length === 4) {
+    if (!replay(segments[2])) {
+      sendJson(res, 404, { error: 'dead delivery not found' });
+      return true;
+    }
+    processQueue();
+    sendJson(res, 200, { replayed: 1 });
+    return true;
+  }
+
+  sendJson(res, 404, { error: 'not found' });
+  return true;
+}
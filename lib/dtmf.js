@@ -0,0 +1,118 @@
+// ============================================================
+// DTMF (KEYPAD) INPUT
+// Twilio sends a dtmf event for every key the caller presses. A key goes to:
+//   - the digit collection the model started with collect_digits (CPF,
+//     order number, ...), which ends on the terminator key, maxDigits or a
+//     timeout; the value is the tool output and is sent to the backend
+//   - otherwise the script's keypad menu
+//   - otherwise the model, as conversation context (keys pressed in a row
+//     are sent together)
+//
+// scriptData.dtmf = {
+//   menu: {                                   key -> action
+//     '1': { action: 'transfer' },
+//     '2': { action: 'hangup', message: 'Tudo bem, até mais!' },
+//     '3': { action: 'say', text: 'Nosso site é zenix.com.br' },
+//     '9': { action: 'instruct', text: 'O cliente quer ouvir as opções de novo.' },
+//     '0': { action: 'opt_out' },            do-not-call request (lib/compliance.js)
+//   },
+//   forwardToModel: true,                     keys outside the menu reach the model
+//   collect: {                                defaults for collect_digits (false: no tool)
+//     terminator: '#', maxDigits: 20, firstDigitSeconds: 15, interDigitSeconds: 5,
+//   },
+// }
+// ============================================================
+
+export const COLLECT_DIGITS_TOOL = 'collect_digits';
+export const MENU_ACTIONS = ['transfer', 'hangup', 'say', 'instruct', 'opt_out'];
+
+const DTMF_KEYS = /^[0-9*#]$/;
+const DEFAULT_COLLECT = { terminator: '#', maxDigits: 20, firstDigitSeconds: 15, interDigitSeconds: 5 };
+
+// Keys pressed within this long of each other reach the model as one message
+export const FORWARD_DELAY_MS = 1500;
+
+export function isDtmfKey(digit) {
+  return typeof digit === 'string' && DTMF_KEYS.test(digit);
+}
+
+export function resolveDtmfConfig(scriptData) {
+  const config = scriptData?.dtmf || {};
+  const menu = new Map();
+  for (const [key, entry] of Object.entries(config.menu || {})) {
+    if (isDtmfKey(key) && MENU_ACTIONS.includes(entry?.action)) menu.set(key, entry);
+  }
+  return {
+    menu,
+    forwardToModel: config.forwardToModel !== false,
+    // The model only gets the tool when the script asks for keypad input
+    collect: scriptData?.dtmf && config.collect !== false ? { ...DEFAULT_COLLECT, ...config.collect } : null,
+  };
+}
+
+// Local tool the model calls to read a digit sequence from the keypad
+export function buildCollectDigitsTool() {
+  return {
+    name: COLLECT_DIGITS_TOOL,
+    parameters: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        minDigits: { type: 'integer' },
+        maxDigits: { type: 'integer' },
+      },
+      required: ['name'],
+    },
+  };
+}
+
+// Collect keys until the terminator, maxDigits or a timeout; onDone gets
+// { ok, name, digits, endedBy: terminator|max_digits|timeout, error? }
+export function createDigitCollector(options, onDone) {
+  const name = typeof options.name === 'string' && options.name.trim() ? options.name.trim() : 'digits';
+  const maxDigits = Number.isInteger(options.maxDigits) && options.maxDigits > 0 ? options.maxDigits : DEFAULT_COLLECT.maxDigits;
+  const minDigits = Number.isInteger(options.minDigits) && options.minDigits > 0 ? Math.min(options.minDigits, maxDigits) : 1;
+  const terminator = isDtmfKey(options.terminator) ? options.terminator : null;
+  let digits = '';
+  let timer = null;
+  let done = false;
+
+  function finish(endedBy) {
+    if (done) return;
+    done = true;
+    clearTimeout(timer);
+    const result = { ok: true, name, digits, endedBy };
+    if (digits.length < minDigits) {
+      result.ok = false;
+      result.error = endedBy === 'timeout' && !digits ? 'no digits entered' : `expected at least ${minDigits} digits`;
+    }
+    onDone(result);
+  }
+
+  function wait(seconds) {
+    clearTimeout(timer);
+    timer = setTimeout(() => finish('timeout'), seconds * 1000);
+  }
+
+  wait(options.firstDigitSeconds ?? DEFAULT_COLLECT.firstDigitSeconds);
+
+  return {
+    name,
+
+    press(digit) {
+      if (done) return;
+      if (digit === terminator) {
+        finish('terminator');
+        return;
+      }
+      digits += digit;
+      if (digits.length >= maxDigits) finish('max_digits');
+      else wait(options.interDigitSeconds ?? DEFAULT_COLLECT.interDigitSeconds);
+    },
+
+    // The call ended first
+    cancel() {
+      finish('timeout');
+    },
+  };
+}
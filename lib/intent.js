@@ -0,0 +1,227 @@
+// ============================================================
+// INTENT CLASSIFICATION
+// Every user turn is scored for intent categories with a confidence.
+// An LLM classifier is used by default; keyword rules are the fast
+// fallback (and the only classifier with INTENT_CLASSIFIER=keywords).
+// Keyword packs exist per locale; scriptData.keywordRules overrides them per category.
+// Keywords match whole words only ("bora" doesn't fire inside "embora").
+// ============================================================
+
+import { chatCompletion } from './summary.js';
+import { DEFAULT_LOCALE } from './locale.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Intent');
+
+const INTENT_CLASSIFIER = (process.env.INTENT_CLASSIFIER || 'llm').toLowerCase();
+const INTENT_TIMEOUT_MS = parseInt(process.env.INTENT_TIMEOUT_MS || '3000', 10);
+export const INTENT_CONFIDENCE_THRESHOLD = parseFloat(process.env.INTENT_CONFIDENCE_THRESHOLD || '0.6');
+
+export const INTENT_CATEGORIES = [
+  'meeting_request', 'pricing', 'objection', 'not_interested', 'wrong_person', 'call_back_later', 'opt_out',
+];
+
+// Categories that count as a positive interest signal
+export const POSITIVE_INTENTS = new Set(['meeting_request', 'pricing']);
+
+// Keyword matches are less certain than the LLM
+const KEYWORD_CONFIDENCE = 0.7;
+
+const PT_BR_KEYWORDS = {
+  meeting_request: [
+    'agendar', 'marcar reunião', 'marcar uma reunião', 'agende', 'marque',
+    'vamos marcar', 'vamos agendar',
+    'tenho interesse', 'me interessa',
+    'quero saber mais', 'saber mais', 'mais informações', 'mais informacoes',
+    'me conte mais', 'como funciona',
+    'quero conhecer', 'quero entender', 'quero contratar', 'quero comprar',
+    'meu email', 'meu telefone', 'meu whatsapp',
+    'manda no whatsapp', 'envia por email',
+    'fechado', 'vamos lá', 'vamos la', 'bora',
+    'quero sim', 'com certeza quero',
+  ],
+  pricing: [
+    'quanto custa', 'qual o valor', 'qual o preço', 'qual o preco',
+    'proposta', 'orçamento', 'orcamento',
+  ],
+  objection: [
+    'muito caro', 'está caro', 'ta caro', 'tá caro', 'já tenho', 'ja tenho',
+    'já uso', 'ja uso', 'não confio', 'nao confio',
+  ],
+  not_interested: [
+    'não tenho interesse', 'nao tenho interesse',
+    'não quero', 'nao quero',
+    'não preciso', 'nao preciso',
+    'não obrigado', 'nao obrigado',
+    'sem interesse',
+    'não me interessa', 'nao me interessa',
+  ],
+  wrong_person: [
+    'número errado', 'numero errado', 'não é aqui', 'nao e aqui', 'não sou eu', 'nao sou eu',
+    'não conheço', 'nao conheco', 'engano',
+  ],
+  call_back_later: [
+    'tô ocupado', 'to ocupado', 'estou ocupado',
+    'agora não', 'agora nao',
+    'outro momento', 'não é o momento',
+    'pode ligar de volta', 'me liga depois', 'liga mais tarde', 'ligar amanhã',
+  ],
+  opt_out: [
+    'não me ligue mais', 'nao me ligue mais', 'não me liga mais', 'nao me liga mais',
+    'não liguem mais', 'nao liguem mais', 'para de me ligar', 'parem de me ligar',
+    'tira meu número', 'tira meu numero', 'tirar meu número', 'tirar meu numero',
+    'remova meu número', 'remova meu numero', 'remover meu número', 'remover meu numero',
+    'apaga meu número', 'apaga meu numero', 'não quero mais receber ligação', 'nao quero mais receber ligacao',
+    'descadastrar', 'descadastra',
+  ],
+};
+
+const ES_KEYWORDS = {
+  meeting_request: [
+    'agendar', 'agendemos', 'programar una reunión', 'coordinar una reunión', 'hagamos una reunión',
+    'me interesa', 'tengo interés', 'quiero saber más', 'más información', 'mas informacion',
+    'cuénteme más', 'cuéntame más', 'cómo funciona', 'como funciona',
+    'quiero conocer', 'quiero contratar', 'quiero comprar',
+    'mi correo', 'mi email', 'mi teléfono', 'mi whatsapp', 'mándamelo por whatsapp',
+    'dale', 'claro que sí', 'sí quiero',
+  ],
+  pricing: [
+    'cuánto cuesta', 'cuanto cuesta', 'cuál es el precio', 'cual es el precio', 'qué precio',
+    'cotización', 'cotizacion', 'propuesta', 'presupuesto',
+  ],
+  objection: [
+    'muy caro', 'está caro', 'esta caro', 'ya tengo', 'ya uso', 'ya trabajo con', 'no confío', 'no confio',
+  ],
+  not_interested: [
+    'no me interesa', 'no tengo interés', 'no tengo interes', 'no quiero', 'no necesito',
+    'no gracias', 'sin interés', 'no estoy interesado', 'no estoy interesada',
+  ],
+  wrong_person: [
+    'número equivocado', 'numero equivocado', 'no es aquí', 'no es aqui', 'no soy yo',
+    'no conozco', 'equivocado',
+  ],
+  call_back_later: [
+    'estoy ocupado', 'estoy ocupada', 'ahora no', 'en otro momento', 'no es buen momento',
+    'llámeme después', 'llámame después', 'llame más tarde', 'llámeme mañana',
+  ],
+  opt_out: [
+    'no me llame más', 'no me llame mas', 'no me llamen más', 'no me llamen mas', 'no vuelvan a llamar',
+    'dejen de llamar', 'deje de llamarme', 'quíteme de la lista', 'quiteme de la lista', 'borre mi número',
+    'borre mi numero', 'eliminen mi número', 'eliminen mi numero',
+  ],
+};
+
+const EN_KEYWORDS = {
+  meeting_request: [
+    'schedule', 'book a meeting', 'set up a meeting', 'set up a call', "let's meet",
+    "i'm interested", 'sounds interesting', 'tell me more', 'more information', 'how does it work',
+    'i want to schedule', 'i want to book', 'i want to sign up', 'sign me up', 'my email', 'my phone', 'my number', 'send it to me',
+    "let's do it", 'sounds good', 'sure thing',
+  ],
+  pricing: [
+    'how much', 'what does it cost', 'price', 'pricing', 'quote', 'proposal', 'budget',
+  ],
+  objection: [
+    'too expensive', 'pricey', 'already have', 'already use', 'already work with', "don't trust",
+  ],
+  not_interested: [
+    'not interested', "i'm good", "don't want", "don't need", 'no thanks', 'no thank you',
+    'take me off', 'stop calling',
+  ],
+  wrong_person: [
+    'wrong number', 'not me', 'no one by that name', 'nobody by that name',
+  ],
+  call_back_later: [
+    "i'm busy", 'not a good time', 'bad time', 'call me back', 'call back later', 'call me later',
+    'call me tomorrow', 'another time',
+  ],
+  opt_out: [
+    'stop calling', 'take me off', 'do not call', "don't call me", 'dont call me', 'remove my number',
+    'remove me from your list', 'never call',
+  ],
+};
+
+const KEYWORD_PACKS = { 'pt-BR': PT_BR_KEYWORDS, es: ES_KEYWORDS, en: EN_KEYWORDS };
+
+// Per-script keyword rules replace the locale's list of each category they define
+export function resolveKeywordRules(scriptData, locale = DEFAULT_LOCALE) {
+  const overrides = scriptData?.keywordRules || {};
+  const pack = KEYWORD_PACKS[locale] || KEYWORD_PACKS[DEFAULT_LOCALE];
+  const rules = {};
+  for (const category of INTENT_CATEGORIES) {
+    const list = Array.isArray(overrides[category]) ? overrides[category] : pack[category];
+    rules[category] = list.map(toWords).filter(Boolean);
+  }
+  return rules;
+}
+
+// Lowercase words separated by single spaces, so matching can respect word boundaries
+function toWords(text) {
+  return (String(text).toLowerCase().match(/[\p{L}\p{N}']+/gu) || []).join(' ');
+}
+
+export function classifyWithKeywords(text, rules) {
+  const words = ` ${toWords(text)} `;
+  const intents = [];
+  for (const [category, keywords] of Object.entries(rules)) {
+    const keyword = keywords.find((k) => words.includes(` ${k} `));
+    if (keyword) intents.push({ category, confidence: KEYWORD_CONFIDENCE, evidence: keyword });
+  }
+  // A refusal outranks a positive keyword in the same sentence ("não quero agendar")
+  if (intents.some((i) => i.category === 'not_interested' || i.category === 'opt_out')) {
+    return intents.filter((i) => !POSITIVE_INTENTS.has(i.category));
+  }
+  return intents;
+}
+
+async function classifyWithLLM(text, context) {
+  const conversation = context
+    .map((t) => `${t.role === 'assistant' ? 'Vendedora' : 'Cliente'}: ${t.text}`)
+    .join('\n');
+
+  const content = await chatCompletion([
+    {
+      role: 'system',
+      content: 'Você classifica a última fala do cliente em uma ligação de vendas (em português, espanhol ou inglês). '
+        + `Categorias possíveis: ${INTENT_CATEGORIES.join(', ')}. `
+        + 'Use opt_out somente quando o cliente pedir para não receber mais ligações ou para remover o número dele. '
+        + 'Responda somente com JSON no formato {"intents":[{"category":"...","confidence":0.0,"evidence":"trecho"}]}. '
+        + 'Inclua apenas categorias presentes na fala, com confiança entre 0 e 1. Use uma lista vazia se nenhuma se aplicar.',
+    },
+    { role: 'user', content: `Conversa recente:\n${conversation}\n\nÚltima fala do cliente: "${text}"` },
+  ], { response_format: { type: 'json_object' }, max_tokens: 150, timeoutMs: INTENT_TIMEOUT_MS });
+
+  const parsed = JSON.parse(content);
+  if (!Array.isArray(parsed.intents)) throw new Error('missing intents array');
+  return parsed.intents
+    .filter((i) => INTENT_CATEGORIES.includes(i?.category))
+    .map((i) => ({
+      category: i.category,
+      confidence: Math.max(0, Math.min(1, Number(i.confidence) || 0)),
+      evidence: typeof i.evidence === 'string' ? i.evidence : null,
+    }));
+}
+
+// Classify one user turn. context is the recent transcription (for the LLM).
+// Resolves with { source, intents } keeping only intents above the threshold.
+export async function classifyIntent(text, { rules, context = [] }) {
+  let source = 'keywords';
+  let intents;
+
+  if (INTENT_CLASSIFIER === 'llm') {
+    try {
+      intents = await classifyWithLLM(text, context);
+      source = 'llm';
+    } catch (error) {
+      log.warn('classification.llm_failed', 'LLM classification failed, using keywords', { error });
+    }
+  }
+  if (!intents) intents = classifyWithKeywords(text, rules);
+
+  return {
+    source,
+    intents: intents
+      .filter((i) => i.confidence >= INTENT_CONFIDENCE_THRESHOLD)
+      .sort((a, b) => b.confidence - a.confidence),
+  };
+}
@@ -0,0 +1,331 @@
+// ============================================================
+// LOCALES
+// Every call runs in one locale, chosen per script with scriptData.locale
+// (default DEFAULT_LOCALE). The locale selects the style rules, keyword
+// packs, voicemail phrases, transcript labels and system lines, spoken
+// fallbacks, notes to the model, the agent handoff and the Whisper language
+// hint. With scriptData.detectLocale the first user turn can switch the call
+// to the language the caller actually speaks.
+// ============================================================
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('Locale');
+
+export const SUPPORTED_LOCALES = ['pt-BR', 'es', 'en'];
+
+// spoken: default sentences said to the caller (a script can replace each);
+// notes: hidden messages to the model; transcript: system lines in the transcript;
+// stages: the stage block of the instructions; tools: descriptions of the
+// built-in and server tools (keyed by tool name, then parameter);
+// languageName: the language as the (Portuguese) internal prompts name it
+const LOCALES = {
+  'pt-BR': {
+    language: 'pt',
+    sayLanguage: 'pt-BR', // Twilio <Say>
+    languageName: 'português',
+    labels: { assistant: 'ZENIX', user: 'CLIENTE', system: 'SISTEMA' },
+    spoken: {
+      reconnectFiller: 'Só um instantinho, por favor.',
+      transferAnnouncement: 'Que ótimo! Vou te transferir agora para um especialista do nosso time. Só um instante, tá?',
+      silencePrompt: 'Alô, você ainda está aí?',
+      silenceGoodbye: 'Parece que a ligação ficou muda. Vou encerrar por aqui, mas a gente volta a falar em outro momento. Até mais!',
+      stallPrompt: 'Desculpa, tive um probleminha aqui. Pode repetir, por favor?',
+      wrapUp: 'Nosso tempo está acabando, então vou encerrar por aqui. Obrigada pela conversa e até mais!',
+      optOut: 'Entendido. Vou tirar o seu número da nossa lista e você não vai mais receber ligações nossas. Desculpe o incômodo e tenha um ótimo dia!',
+    },
+    notes: {
+      sayExactly: (text) => `Diga exatamente a seguinte frase, sem acrescentar nem alterar nada: "${text}"`,
+      reconnect: 'A ligação teve uma breve falha de conexão. Peça desculpas em poucas palavras e retome a conversa exatamente de onde parou.',
+      operatorReleased: 'Um operador humano conversou com o cliente e devolveu a ligação para você. Continue a conversa a partir do ponto em que ela está.',
+      keysPressed: (keys) => `O cliente digitou no teclado do telefone: ${keys}`,
+      transferCallback: 'Nenhum especialista conseguiu atender a transferência agora. '
+        + 'Peça desculpas pela espera, diga que um especialista vai retornar a ligação e pergunte qual o melhor horário para o retorno.',
+    },
+    transcript: {
+      callEnded: (reason) => `Ligação encerrada pelo servidor (${reason})`,
+      takeover: 'Operador humano assumiu a ligação',
+      released: 'Operador humano devolveu a ligação',
+      voicemail: (reason) => `Caixa postal detectada (${reason})`,
+      menuKey: (digit, action) => `Cliente digitou ${digit} no menu (${action})`,
+      keysPressed: (keys) => `Cliente digitou ${keys}`,
+      digitsCollected: (name, digits) => `Cliente digitou ${name}: ${digits}`,
+      optedOut: 'Cliente pediu para não receber mais ligações',
+      transferStarted: 'Transferência para especialista iniciada',
+      transferred: (agent) => `Ligação transferida para ${agent || 'especialista'}`,
+      transferFailed: 'Nenhum especialista disponível, assistente retomou a ligação',
+    },
+    stages: {
+      title: '=== ETAPAS DA LIGAÇÃO ===',
+      route: 'Roteiro',
+      current: 'ETAPA ATUAL',
+      goal: 'Objetivo',
+      questions: 'Perguntas desta etapa (uma por vez):',
+      instructions: 'Instruções',
+      exitCriteria: 'Critério para avançar',
+      advance: (tool, next) => `Quando o critério for atingido, chame ${tool} com a próxima etapa ("${next}") e continue a conversa. `
+        + 'Se o cliente levantar uma objeção ou pular etapas, chame a etapa adequada.',
+      last: (tool) => `Esta é a última etapa. Só chame ${tool} se precisar voltar a uma etapa anterior.`,
+      hidden: 'Nunca mencione as etapas ao cliente.',
+      end: '=== FIM DAS ETAPAS ===',
+    },
+    tools: {
+      check_availability: {
+        description: 'Consulta os horários disponíveis para uma reunião. Use antes de sugerir um horário ao cliente.',
+        parameters: { date: 'Data desejada no formato AAAA-MM-DD', period: 'Período preferido pelo cliente' },
+      },
+      book_meeting: {
+        description: 'Agenda uma reunião com o cliente. Use somente depois que o cliente confirmar data e horário.',
+        parameters: {
+          datetime: 'Data e hora no formato ISO 8601', name: 'Nome do cliente',
+          email: 'E-mail do cliente, se informado', notes: 'Observações relevantes da conversa',
+        },
+      },
+      send_whatsapp: {
+        description: 'Envia uma mensagem de WhatsApp para o cliente com materiais ou confirmação.',
+        parameters: { message: 'Texto da mensagem', phone: 'Número do WhatsApp, se diferente do número da ligação' },
+      },
+      capture_email: {
+        description: 'Registra o e-mail informado pelo cliente. Confirme a grafia com o cliente antes de chamar.',
+        parameters: { email: 'Endereço de e-mail' },
+      },
+      transfer_to_human: {
+        description: 'Transfere a ligação para um especialista humano. Use quando o cliente pedir para falar com uma pessoa ou quiser avançar para uma proposta.',
+        parameters: { reason: 'Motivo da transferência' },
+      },
+      advance_stage: {
+        description: 'Registra que a conversa passou para outra etapa do roteiro. Chame assim que o critério da etapa atual for atingido.',
+        parameters: { stage: 'Etapa para a qual a conversa está indo', reason: 'Por que a etapa mudou' },
+      },
+      collect_digits: {
+        description: 'Lê uma sequência de dígitos que o cliente vai digitar no teclado do telefone (CPF, número do pedido, ...). '
+          + 'Antes de chamar, peça ao cliente para digitar e, se houver, para terminar com a tecla #. O resultado chega quando ele terminar.',
+        parameters: {
+          name: 'O que está sendo coletado, ex.: cpf, numero_pedido', minDigits: 'Quantidade mínima de dígitos',
+          maxDigits: 'Quantidade máxima de dígitos; a coleta termina ao atingi-la',
+        },
+      },
+    },
+    handoffIntro: 'Transferência de cliente.',
+  },
+  es: {
+    language: 'es',
+    sayLanguage: 'es-MX',
+    languageName: 'espanhol',
+    labels: { assistant: 'ZENIX', user: 'CLIENTE', system: 'SISTEMA' },
+    spoken: {
+      reconnectFiller: 'Un momentito, por favor.',
+      transferAnnouncement: '¡Qué bien! Te voy a transferir ahora con un especialista de nuestro equipo. Un momento, por favor.',
+      silencePrompt: '¿Aló, sigues ahí?',
+      silenceGoodbye: 'Parece que la llamada se quedó en silencio. Voy a terminar aquí, pero hablamos en otro momento. ¡Hasta luego!',
+      stallPrompt: 'Disculpa, tuve un pequeño problema. ¿Puedes repetir, por favor?',
+      wrapUp: 'Se nos está acabando el tiempo, así que voy a terminar aquí. ¡Gracias por la conversación y hasta luego!',
+      optOut: 'Entendido. Voy a quitar su número de nuestra lista y no recibirá más llamadas nuestras. Disculpe la molestia y que tenga un buen día.',
+    },
+    notes: {
+      sayExactly: (text) => `Di exactamente la siguiente frase, sin agregar ni cambiar nada: "${text}"`,
+      reconnect: 'La llamada tuvo una breve falla de conexión. Pide disculpas en pocas palabras y retoma la conversación exactamente donde quedó.',
+      operatorReleased: 'Un operador humano habló con el cliente y te devolvió la llamada. Continúa la conversación desde el punto en que está.',
+      keysPressed: (keys) => `El cliente marcó en el teclado del teléfono: ${keys}`,
+      transferCallback: 'Ningún especialista pudo atender la transferencia ahora. '
+        + 'Pide disculpas por la espera, di que un especialista devolverá la llamada y pregunta cuál es el mejor horario para llamarle.',
+    },
+    transcript: {
+      callEnded: (reason) => `Llamada terminada por el servidor (${reason})`,
+      takeover: 'Un operador humano tomó la llamada',
+      released: 'El operador humano devolvió la llamada',
+      voicemail: (reason) => `Buzón de voz detectado (${reason})`,
+      menuKey: (digit, action) => `El cliente marcó ${digit} en el menú (${action})`,
+      keysPressed: (keys) => `El cliente marcó ${keys}`,
+      digitsCollected: (name, digits) => `El cliente marcó ${name}: ${digits}`,
+      optedOut: 'El cliente pidió no recibir más llamadas',
+      transferStarted: 'Transferencia a un especialista iniciada',
+      transferred: (agent) => `Llamada transferida a ${agent || 'un especialista'}`,
+      transferFailed: 'Ningún especialista disponible, la asistente retomó la llamada',
+    },
+    stages: {
+      title: '=== ETAPAS DE LA LLAMADA ===',
+      route: 'Guion',
+      current: 'ETAPA ACTUAL',
+      goal: 'Objetivo',
+      questions: 'Preguntas de esta etapa (una a la vez):',
+      instructions: 'Instrucciones',
+      exitCriteria: 'Criterio para avanzar',
+      advance: (tool, next) => `Cuando se cumpla el criterio, llama a ${tool} con la siguiente etapa ("${next}") y continúa la conversación. `
+        + 'Si el cliente plantea una objeción o se salta etapas, llama a la etapa adecuada.',
+      last: (tool) => `Esta es la última etapa. Solo llama a ${tool} si necesitas volver a una etapa anterior.`,
+      hidden: 'Nunca menciones las etapas al cliente.',
+      end: '=== FIN DE LAS ETAPAS ===',
+    },
+    tools: {
+      check_availability: {
+        description: 'Consulta los horarios disponibles para una reunión. Úsala antes de sugerir un horario al cliente.',
+        parameters: { date: 'Fecha deseada en formato AAAA-MM-DD', period: 'Período que prefiere el cliente' },
+      },
+      book_meeting: {
+        description: 'Agenda una reunión con el cliente. Úsala solo después de que el cliente confirme fecha y hora.',
+        parameters: {
+          datetime: 'Fecha y hora en formato ISO 8601', name: 'Nombre del cliente',
+          email: 'Correo del cliente, si lo dio', notes: 'Observaciones relevantes de la conversación',
+        },
+      },
+      send_whatsapp: {
+        description: 'Envía un mensaje de WhatsApp al cliente con materiales o una confirmación.',
+        parameters: { message: 'Texto del mensaje', phone: 'Número de WhatsApp, si es distinto del número de la llamada' },
+      },
+      capture_email: {
+        description: 'Registra el correo que dio el cliente. Confirma la ortografía con el cliente antes de llamarla.',
+        parameters: { email: 'Dirección de correo' },
+      },
+      transfer_to_human: {
+        description: 'Transfiere la llamada a un especialista humano. Úsala cuando el cliente pida hablar con una persona o quiera avanzar hacia una propuesta.',
+        parameters: { reason: 'Motivo de la transferencia' },
+      },
+      advance_stage: {
+        description: 'Registra que la conversación pasó a otra etapa del guion. Llámala en cuanto se cumpla el criterio de la etapa actual.',
+        parameters: { stage: 'Etapa a la que pasa la conversación', reason: 'Por qué cambió la etapa' },
+      },
+      collect_digits: {
+        description: 'Lee una secuencia de dígitos que el cliente marcará en el teclado del teléfono (documento, número de pedido, ...). '
+          + 'Antes de llamarla, pide al cliente que marque y, si corresponde, que termine con la tecla #. El resultado llega cuando termine.',
+        parameters: {
+          name: 'Qué se está recolectando, p. ej.: documento, numero_pedido', minDigits: 'Cantidad mínima de dígitos',
+          maxDigits: 'Cantidad máxima de dígitos; la captura termina al alcanzarla',
+        },
+      },
+    },
+    handoffIntro: 'Transferencia de cliente.',
+  },
+  en: {
+    language: 'en',
+    sayLanguage: 'en-US',
+    languageName: 'inglês',
+    labels: { assistant: 'ZENIX', user: 'CUSTOMER', system: 'SYSTEM' },
+    spoken: {
+      reconnectFiller: 'Just a moment, please.',
+      transferAnnouncement: "That's great! I'm transferring you now to a specialist on our team. Just a moment, please.",
+      silencePrompt: 'Hello, are you still there?',
+      silenceGoodbye: "It seems the line went quiet. I'll end the call here, but we'll talk another time. Bye!",
+      stallPrompt: 'Sorry, I had a small hiccup here. Could you repeat that, please?',
+      wrapUp: "We're running out of time, so I'll wrap up here. Thanks for the conversation, bye!",
+      optOut: "Understood. I'll remove your number from our list and you won't get any more calls from us. Sorry for the trouble, and have a great day!",
+    },
+    notes: {
+      sayExactly: (text) => `Say exactly the following sentence, without adding or changing anything: "${text}"`,
+      reconnect: 'The call had a brief connection drop. Apologize in a few words and pick the conversation up exactly where it left off.',
+      operatorReleased: 'A human operator talked to the customer and handed the call back to you. Continue the conversation from where it is now.',
+      keysPressed: (keys) => `The customer pressed on the phone keypad: ${keys}`,
+      transferCallback: 'No specialist could take the transfer right now. '
+        + 'Apologize for the wait, say that a specialist will call back and ask what the best time for the callback is.',
+    },
+    transcript: {
+      callEnded: (reason) => `Call ended by the server (${reason})`,
+      takeover: 'A human operator took over the call',
+      released: 'The human operator handed the call back',
+      voicemail: (reason) => `Voicemail detected (${reason})`,
+      menuKey: (digit, action) => `Customer pressed ${digit} in the menu (${action})`,
+      keysPressed: (keys) => `Customer pressed ${keys}`,
+      digitsCollected: (name, digits) => `Customer entered ${name}: ${digits}`,
+      optedOut: 'Customer asked not to be called again',
+      transferStarted: 'Transfer to a specialist started',
+      transferred: (agent) => `Call transferred to ${agent || 'a specialist'}`,
+      transferFailed: 'No specialist available, the assistant took the call back',
+    },
+    stages: {
+      title: '=== CALL STAGES ===',
+      route: 'Route',
+      current: 'CURRENT STAGE',
+      goal: 'Goal',
+      questions: 'Questions for this stage (one at a time):',
+      instructions: 'Instructions',
+      exitCriteria: 'Exit criteria',
+      advance: (tool, next) => `When the criteria are met, call ${tool} with the next stage ("${next}") and keep the conversation going. `
+        + 'If the customer raises an objection or skips ahead, call the matching stage.',
+      last: (tool) => `This is the last stage. Only call ${tool} if you need to go back to an earlier stage.`,
+      hidden: 'Never mention the stages to the customer.',
+      end: '=== END OF STAGES ===',
+    },
+    tools: {
+      check_availability: {
+        description: 'Looks up the available meeting slots. Use it before suggesting a time to the customer.',
+        parameters: { date: 'Preferred date in YYYY-MM-DD format', period: "The customer's preferred period" },
+      },
+      book_meeting: {
+        description: 'Books a meeting with the customer. Use it only after the customer has confirmed the date and time.',
+        parameters: {
+          datetime: 'Date and time in ISO 8601 format', name: "Customer's name",
+          email: "Customer's email, if given", notes: 'Relevant notes from the conversation',
+        },
+      },
+      send_whatsapp: {
+        description: 'Sends the customer a WhatsApp message with materials or a confirmation.',
+        parameters: { message: 'Message text', phone: 'WhatsApp number, if different from the number on the call' },
+      },
+      capture_email: {
+        description: 'Records the email address the customer gave. Confirm the spelling with the customer before calling it.',
+        parameters: { email: 'Email address' },
+      },
+      transfer_to_human: {
+        description: 'Transfers the call to a human specialist. Use it when the customer asks to talk to a person or wants to move on to a proposal.',
+        parameters: { reason: 'Reason for the transfer' },
+      },
+      advance_stage: {
+        description: "Records that the conversation moved to another stage of the script. Call it as soon as the current stage's criteria are met.",
+        parameters: { stage: 'Stage the conversation is moving to', reason: 'Why the stage changed' },
+      },
+      collect_digits: {
+        description: 'Reads a sequence of digits the customer will type on the phone keypad (ID number, order number, ...). '
+          + 'Before calling it, ask the customer to type them and, if there is one, to finish with the # key. The result arrives once they are done.',
+        parameters: {
+          name: 'What is being collected, e.g. ssn, order_number', minDigits: 'Minimum number of digits',
+          maxDigits: 'Maximum number of digits; collection ends when it is reached',
+        },
+      },
+    },
+    handoffIntro: 'Customer transfer.',
+  },
+};
+
+// Words that are common in one language and rare in the others
+const DETECTION_WORDS = {
+  'pt-BR': ['não', 'nao', 'você', 'voce', 'sim', 'obrigado', 'obrigada', 'tá', 'isso', 'tudo', 'bem', 'alô', 'oi', 'quem', 'fala', 'sou', 'eu', 'é', 'então', 'agora', 'muito', 'pois'],
+  es: ['sí', 'usted', 'gracias', 'bueno', 'hola', 'aló', 'qué', 'quién', 'habla', 'muy', 'señor', 'señora', 'yo', 'aquí', 'dígame', 'diga', 'soy', 'estoy', 'pero', 'también', 'ahora', 'entonces'],
+  en: ['yes', 'hello', 'hi', 'this', 'is', 'the', 'who', 'speaking', 'thanks', 'thank', 'what', 'you', "i'm", 'yeah', 'okay', 'sorry', 'not', 'now', 'busy', 'call'],
+};
+
+// 'es-MX' -> 'es', 'pt' -> 'pt-BR', 'en-US' -> 'en'; null when unsupported
+export function normalizeLocale(code) {
+  if (typeof code !== 'string' || !code.trim()) return null;
+  const language = code.trim().toLowerCase().split(/[-_]/)[0];
+  if (language === 'pt') return 'pt-BR';
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+export const DEFAULT_LOCALE = normalizeLocale(process.env.DEFAULT_LOCALE) || 'pt-BR';
+
+export function getLocale(code) {
+  const locale = normalizeLocale(code) || DEFAULT_LOCALE;
+  return { code: locale, ...LOCALES[locale] };
+}
+
+export function resolveScriptLocale(scriptData) {
+  if (scriptData?.locale == null) return DEFAULT_LOCALE;
+  const locale = normalizeLocale(scriptData.locale);
+  if (!locale) log.warn('locale.unsupported', 'Unsupported locale, using the default', { requested: scriptData.locale, locale: DEFAULT_LOCALE });
+  return locale || DEFAULT_LOCALE;
+}
+
+// Guess the language of a user turn; null when there isn't enough evidence
+export function detectLocale(text) {
+  const words = text.toLowerCase().match(/[\p{L}']+/gu) || [];
+  const scores = SUPPORTED_LOCALES.map((locale) => ({
+    locale,
+    score: words.filter((w) => DETECTION_WORDS[locale].includes(w)).length,
+  })).sort((a, b) => b.score - a.score);
+
+  const [best, second] = scores;
+  if (best.score === 0 || best.score === second.score) return null;
+  // A single marker word is only trusted when nothing else matched
+  if (best.score === 1 && second.score > 0) return null;
+  return best.locale;
+}
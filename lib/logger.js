@@ -0,0 +1,85 @@
+// ============================================================
+// STRUCTURED LOGGING
+// One JSON object per line:
+//   {"time","level","component","event","msg","callSid","streamSid","scriptId",...fields}
+// LOG_LEVEL (debug|info|warn|error, default info) sets the minimum level;
+// warn and error go to stderr. Caller phone numbers, transcript text and
+// keypad digits are redacted by field name unless LOG_SENSITIVE_DATA=true
+// (local debugging only).
+//
+//   const log = createLogger('Delivery');
+//   log.info('delivery.sent', 'Delivered', { event, idempotencyKey });
+//
+// Per-call loggers take a context function, read on every line, so the ids
+// show up as soon as the start event sets them:
+//   const log = createLogger('Twilio', () => ({ callSid, streamSid, scriptId }));
+//   const openaiLog = log.child('OpenAI');
+// ============================================================
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+const LOG_SENSITIVE_DATA = process.env.LOG_SENSITIVE_DATA === 'true';
+
+const PHONE_FIELDS = new Set(['contactPhone', 'phone']);
+const TEXT_FIELDS = new Set(['text', 'transcript', 'signal', 'arguments', 'digits']);
+
+// +5511987654321 -> +55*******4321
+export function redactPhone(phone) {
+  if (LOG_SENSITIVE_DATA || phone == null) return phone;
+  const value = String(phone);
+  if (value.length <= 4) return '*'.repeat(value.length);
+  const prefix = value.startsWith('+') ? value.slice(0, 3) : '';
+  return `${prefix}${'*'.repeat(value.length - prefix.length - 4)}${value.slice(-4)}`;
+}
+
+export function redactText(text) {
+  if (LOG_SENSITIVE_DATA || text == null) return text;
+  return `[redacted ${String(text).length} chars]`;
+}
+
+function serializeField(key, value) {
+  if (value instanceof Error) return value.message;
+  if (PHONE_FIELDS.has(key)) return redactPhone(value);
+  if (TEXT_FIELDS.has(key)) return typeof value === 'string' ? redactText(value) : (LOG_SENSITIVE_DATA ? value : '[redacted]');
+  return value;
+}
+
+function write(level, line) {
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+}
+
+// component: the old "[Tag]" prefix; context: object or function returning
+// the ids (callSid, streamSid, scriptId) attached to every line
+export function createLogger(component, context = null) {
+  function emit(level, event, message, fields) {
+    if (LEVELS[level] < LOG_LEVEL) return;
+    if (message !== null && typeof message === 'object') {
+      fields = message;
+      message = undefined;
+    }
+
+    const ids = typeof context === 'function' ? context() : context;
+    const entry = { time: new Date().toISOString(), level, component, event };
+    if (message) entry.msg = message;
+    for (const [key, value] of Object.entries({ ...ids, ...fields })) {
+      if (value !== undefined) entry[key] = serializeField(key, value);
+    }
+
+    let line;
+    try {
+      line = JSON.stringify(entry);
+    } catch (error) {
+      line = JSON.stringify({ time: entry.time, level, component, event, msg: message, logError: error.message });
+    }
+    write(level, line);
+  }
+
+  return {
+    debug: (event, message, fields) => emit('debug', event, message, fields),
+    info: (event, message, fields) => emit('info', event, message, fields),
+    warn: (event, message, fields) => emit('warn', event, message, fields),
+    error: (event, message, fields) => emit('error', event, message, fields),
+    child: (childComponent) => createLogger(childComponent, context),
+  };
+}
@@ -0,0 +1,139 @@
+// ============================================================
+// PROMETHEUS METRICS
+// A minimal registry (counters, gauges, histograms with labels) rendered
+// in the Prometheus text format at GET /metrics. When METRICS_TOKEN is set
+// the scrape must send Authorization: Bearer METRICS_TOKEN.
+// ============================================================
+
+import { getBearerToken, isTokenValid } from './http.js';
+
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+
+const registry = [];
+
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 0.75, 1, 1.5, 2, 3, 5, 10];
+const DURATION_BUCKETS = [5, 15, 30, 60, 120, 300, 600, 1200];
+const TOKEN_BUCKETS = [500, 1000, 2500, 5000, 10000, 25000, 50000, 100000];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Series are keyed by their rendered label set
+function createSeries() {
+  const series = new Map();
+  return {
+    get(labels, init) {
+      const key = formatLabels(labels);
+      if (!series.has(key)) series.set(key, { labels, ...init() });
+      return series.get(key);
+    },
+    values: () => series.values(),
+  };
+}
+
+function createCounter(name, help) {
+  const series = createSeries();
+  const metric = {
+    inc(labels = {}, value = 1) {
+      series.get(labels, () => ({ value: 0 })).value += value;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const s of series.values()) lines.push(`${name}${formatLabels(s.labels)} ${s.value}`);
+      return lines.join('\n');
+    },
+  };
+  registry.push(metric);
+  return metric;
+}
+
+function createGauge(name, help) {
+  const series = createSeries();
+  const metric = {
+    set(labels, value) {
+      series.get(labels, () => ({ value: 0 })).value = value;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+      for (const s of series.values()) lines.push(`${name}${formatLabels(s.labels)} ${s.value}`);
+      return lines.join('\n');
+    },
+  };
+  registry.push(metric);
+  return metric;
+}
+
+function createHistogram(name, help, buckets) {
+  const series = createSeries();
+  const metric = {
+    observe(labels, value) {
+      const s = series.get(labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((bound, i) => {
+        if (value <= bound) s.counts[i]++;
+      });
+      s.sum += value;
+      s.count++;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const s of series.values()) {
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...s.labels, le: bound })} ${s.counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+        lines.push(`${name}_sum${formatLabels(s.labels)} ${s.sum}`);
+        lines.push(`${name}_count${formatLabels(s.labels)} ${s.count}`);
+      }
+      return lines.join('\n');
+    },
+  };
+  registry.push(metric);
+  return metric;
+}
+
+// ============================================================
+// APPLICATION METRICS
+// ============================================================
+export const metrics = {
+  activeCalls: createGauge('zenix_active_calls', 'Calls currently in flight'),
+  callsStarted: createCounter('zenix_calls_started_total', 'Media streams started'),
+  callsEnded: createCounter('zenix_calls_ended_total', 'Calls ended, by post-call outcome'),
+  callDuration: createHistogram('zenix_call_duration_seconds', 'Call duration', DURATION_BUCKETS),
+  firstAudio: createHistogram('zenix_first_audio_seconds', 'Time from stream start to the first assistant audio chunk', LATENCY_BUCKETS),
+  responseLatency: createHistogram('zenix_response_latency_seconds', 'Time from the end of user speech to the first assistant audio chunk', LATENCY_BUCKETS),
+  bargeIns: createCounter('zenix_barge_ins_total', 'Assistant audio interrupted by the caller'),
+  openaiErrors: createCounter('zenix_openai_errors_total', 'OpenAI Realtime errors, by type'),
+  webhookFailures: createCounter('zenix_webhook_failures_total', 'Failed backend webhook attempts, by event'),
+  webhookDeadLetters: createCounter('zenix_webhook_dead_letters_total', 'Backend webhooks moved to the dead-letter store, by event'),
+  tokens: createCounter('zenix_openai_tokens_total', 'Realtime tokens used, by direction'),
+  callTokens: createHistogram('zenix_call_tokens', 'Realtime tokens used per call', TOKEN_BUCKETS),
+  audioSeconds: createCounter('zenix_audio_seconds_total', 'Audio streamed, by direction (caller or agent)'),
+  callAudioSeconds: createHistogram('zenix_call_audio_seconds', 'Audio streamed per call, by direction', DURATION_BUCKETS),
+};
+
+export function renderMetrics() {
+  return `${registry.map((metric) => metric.render()).join('\n')}\n`;
+}
+
+// GET /metrics
+export function handleMetricsRoute(req, res, pathname, activeSessions) {
+  if (pathname !== '/metrics' || req.method !== 'GET') return false;
+
+  if (METRICS_TOKEN && !isTokenValid(getBearerToken(req), METRICS_TOKEN)) {
+    res.writeHead(401, { 'Content-Type': 'text/plain' });
+    res.end('unauthorized\n');
+    return true;
+  }
+
+  metrics.activeCalls.set({}, activeSessions.size);
+  res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+  res.end(renderMetrics());
+  return true;
+}
@@ -0,0 +1,83 @@
+// ============================================================
+// LIVE CALL MONITORING
+// Supervisors connect to /monitor?token=... (or Authorization: Bearer)
+// and receive a snapshot of calls in flight followed by live events:
+// call.started, call.ended, transcript, speech.started, interruption,
+// interest, audio.stats. Add &streamSid=... to follow a single call.
+// Supervisors can also send control commands (see supervisor.js).
+// ============================================================
+
+import { WebSocket } from 'ws';
+import { parse } from 'url';
+import { getBearerToken, isTokenValid } from './http.js';
+import { handleOperatorMessage, releaseOperator } from './supervisor.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Monitor');
+
+const MONITOR_TOKEN = process.env.MONITOR_TOKEN;
+
+// Drop events for monitors that can't keep up instead of buffering forever
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+const monitors = new Set();
+
+function send(ws, event) {
+  if (ws.readyState !== WebSocket.OPEN || ws.bufferedAmount > MAX_BUFFERED_BYTES) return;
+  ws.send(JSON.stringify(event));
+}
+
+// Summary of one activeSessions entry for the initial snapshot
+function describeSession(session) {
+  return {
+    streamSid: session.streamSid,
+    callSid: session.callSid,
+    scriptId: session.scriptId,
+    contactPhone: session.contactPhone,
+    startTime: session.startTime,
+    transcription: session.sessionData?.transcription || [],
+    ...session.stats?.(),
+  };
+}
+
+export function handleMonitorConnection(ws, req, activeSessions) {
+  const { query } = parse(req.url, true);
+
+  if (!MONITOR_TOKEN) {
+    log.error('monitor.rejected', 'Rejected: MONITOR_TOKEN is not configured');
+    ws.close(1008, 'Monitoring disabled');
+    return;
+  }
+  if (!isTokenValid(getBearerToken(req) || query.token, MONITOR_TOKEN)) {
+    log.warn('monitor.rejected', 'Rejected: invalid token');
+    ws.close(1008, 'Unauthorized');
+    return;
+  }
+
+  const monitor = { ws, streamSid: query.streamSid || null, takeovers: new Set() };
+  monitors.add(monitor);
+  log.info('monitor.connected', 'Supervisor connected', { streamSid: monitor.streamSid, monitors: monitors.size });
+
+  const calls = [...activeSessions.values()]
+    .filter((s) => !monitor.streamSid || s.streamSid === monitor.streamSid)
+    .map(describeSession);
+  send(ws, { type: 'snapshot', timestamp: new Date().toISOString(), calls });
+
+  ws.on('message', (message) => handleOperatorMessage(monitor, message, activeSessions));
+  ws.on('close', () => {
+    monitors.delete(monitor);
+    releaseOperator(monitor, activeSessions);
+    log.info('monitor.disconnected', 'Supervisor disconnected', { streamSid: monitor.streamSid, monitors: monitors.size });
+  });
+  ws.on('error', (error) => log.error('monitor.ws_error', 'WebSocket error', { error }));
+}
+
+// Broadcast a per-call event to every monitor following that call
+export function publishCallEvent(streamSid, type, data = {}) {
+  if (monitors.size === 0 || !streamSid) return;
+  const event = { type, streamSid, timestamp: new Date().toISOString(), ...data };
+  for (const monitor of monitors) {
+    if (monitor.streamSid && monitor.streamSid !== streamSid) continue;
+    send(monitor.ws, event);
+  }
+}
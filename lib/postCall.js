@@ -0,0 +1,109 @@
+// ============================================================
+// POST-CALL PROCESSING
+// When a call ends the transcript is turned into a summary, lead
+// qualification fields, objections, the agreed next step and an outcome
+// label, and delivered to the backend as JSON.
+// ============================================================
+
+import { chatCompletion } from './summary.js';
+import { getLocale } from './locale.js';
+import { enqueueDelivery } from './delivery.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('PostCall');
+
+const POST_CALL_TIMEOUT_MS = parseInt(process.env.POST_CALL_TIMEOUT_MS || '30000', 10);
+
+export const CALL_OUTCOMES = [
+  'meeting_booked', 'transferred', 'interested', 'callback_requested',
+  'not_interested', 'wrong_person', 'voicemail', 'no_conversation', 'other',
+];
+
+const LEAD_FIELDS = ['name', 'company', 'role', 'email', 'phone', 'budget', 'timeline'];
+
+// Outcome from what the session already knows, used when the LLM can't decide
+export function deriveOutcome({ transcription, toolCalls, intentSignals, transferred, voicemail }) {
+  if (voicemail) return 'voicemail';
+  if (!transcription.some((t) => t.role === 'user')) return 'no_conversation';
+  if (toolCalls.some((t) => t.name === 'book_meeting' && t.result?.ok)) return 'meeting_booked';
+  if (transferred) return 'transferred';
+
+  const categories = new Set(intentSignals.flatMap((s) => s.intents.map((i) => i.category)));
+  if (categories.has('wrong_person')) return 'wrong_person';
+  if (categories.has('meeting_request') || categories.has('pricing')) return 'interested';
+  if (categories.has('call_back_later')) return 'callback_requested';
+  if (categories.has('not_interested')) return 'not_interested';
+  return 'other';
+}
+
+function emptyLead(contactPhone) {
+  const lead = Object.fromEntries(LEAD_FIELDS.map((f) => [f, null]));
+  lead.phone = contactPhone || null;
+  lead.painPoints = [];
+  return lead;
+}
+
+function normalizeAnalysis(raw, fallback) {
+  const lead = emptyLead(fallback.contactPhone);
+  for (const field of LEAD_FIELDS) {
+    if (typeof raw.lead?.[field] === 'string' && raw.lead[field].trim()) lead[field] = raw.lead[field].trim();
+  }
+  if (Array.isArray(raw.lead?.painPoints)) lead.painPoints = raw.lead.painPoints.filter((p) => typeof p === 'string');
+
+  return {
+    summary: typeof raw.summary === 'string' ? raw.summary : null,
+    lead,
+    objections: Array.isArray(raw.objections) ? raw.objections.filter((o) => typeof o === 'string') : [],
+    nextStep: typeof raw.nextStep === 'string' && raw.nextStep.trim() ? raw.nextStep : null,
+    outcome: fallback.endReason || (CALL_OUTCOMES.includes(raw.outcome) ? raw.outcome : fallback.outcome),
+  };
+}
+
+// call: { formattedTranscript, transcription, toolCalls, intentSignals, transferred, voicemail, endReason, contactPhone, locale }
+// endReason (set when the server ended the call: a TIMER_OUTCOMES value or opted_out) is the outcome
+export async function analyzeCall(call) {
+  const outcome = deriveOutcome(call);
+  const fallback = { outcome, endReason: call.endReason || null, contactPhone: call.contactPhone };
+
+  if (outcome === 'no_conversation' || outcome === 'voicemail') {
+    return { ...normalizeAnalysis({}, fallback), source: 'rules' };
+  }
+
+  const facts = [
+    call.transferred ? 'A ligação foi transferida para um humano.' : null,
+    ...call.toolCalls.map((t) => `Ferramenta ${t.name} chamada com ${JSON.stringify(t.arguments)} -> ${t.result?.ok ? 'sucesso' : 'falha'}`),
+  ].filter(Boolean).join('\n');
+  const { labels } = getLocale(call.locale);
+
+  try {
+    const content = await chatCompletion([
+      {
+        role: 'system',
+        content: `Você analisa transcrições de ligações de vendas ([${labels.assistant}] é a vendedora, [${labels.user}] é o cliente). `
+          + 'A ligação pode estar em português, espanhol ou inglês; escreva o resumo, as objeções e o próximo passo em português. '
+          + 'Responda somente com JSON no formato: '
+          + '{"summary":"resumo em até 5 frases","lead":{"name":null,"company":null,"role":null,"email":null,"phone":null,'
+          + '"budget":null,"timeline":null,"painPoints":[]},"objections":[],"nextStep":null,'
+          + `"outcome":"um de: ${CALL_OUTCOMES.join(', ')}"}. `
+          + 'Use null para o que não foi dito. Não invente informações.',
+      },
+      { role: 'user', content: `${facts ? `Fatos da ligação:\n${facts}\n\n` : ''}Transcrição:\n${call.formattedTranscript}` },
+    ], { response_format: { type: 'json_object' }, max_tokens: 600, timeoutMs: POST_CALL_TIMEOUT_MS });
+
+    return { ...normalizeAnalysis(JSON.parse(content), fallback), source: 'llm' };
+  } catch (error) {
+    log.warn('analysis.llm_failed', 'Analysis failed, using session signals', { error });
+    return { ...normalizeAnalysis({}, fallback), source: 'rules' };
+  }
+}
+
+export function sendCallAnalysisToBackend(callSid, scriptId, analysis) {
+  log.info('analysis.queued', 'Call analysis queued', { callSid, scriptId, outcome: analysis.outcome });
+  enqueueDelivery({
+    event: 'call-analysis',
+    path: '/api/twilio/call-analysis',
+    body: { callSid, scriptId, ...analysis, analyzedAt: new Date().toISOString() },
+    callSid,
+    idempotencyKey: `${callSid}:call-analysis`,
+  });
+}
@@ -0,0 +1,148 @@
+// ============================================================
+// CALL RECORDING
+// Records both sides of the stream and writes a stereo WAV
+// (caller left, agent right) to RECORDINGS_DIR/<callSid>.wav.
+//
+// Caller audio is placed by Twilio's media timestamp. Agent audio is queued
+// on Twilio's side, so it is laid out contiguously from the moment each
+// response starts playing, and cut when a barge-in clears the buffer.
+//
+// Enabled by RECORDINGS_ENABLED=true or per script with scriptData.recording.
+// ============================================================
+
+import { mkdir, writeFile, stat } from 'fs/promises';
+import { createReadStream } from 'fs';
+import { join, resolve } from 'path';
+import { mulawToPcm, SAMPLE_RATE } from './audio.js';
+import { getBearerToken, isTokenValid, sendJson } from './http.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Recording');
+
+const RECORDINGS_ENABLED = process.env.RECORDINGS_ENABLED === 'true';
+const RECORDINGS_DIR = resolve(process.env.RECORDINGS_DIR || './recordings');
+const MONITOR_TOKEN = process.env.MONITOR_TOKEN;
+
+const SAMPLES_PER_MS = SAMPLE_RATE / 1000;
+
+export function isRecordingEnabled(scriptData) {
+  if (typeof scriptData?.recording === 'boolean') return scriptData.recording;
+  return RECORDINGS_ENABLED;
+}
+
+export function createRecorder() {
+  const callerChunks = []; // { offset, data } in samples / μ-law bytes
+  const agentChunks = [];
+  let agentCursor = 0;
+
+  return {
+    recordCaller(payload, timestampMs) {
+      callerChunks.push({ offset: Math.round(timestampMs * SAMPLES_PER_MS), data: Buffer.from(payload, 'base64') });
+    },
+
+    // nowMs: current stream time; audio starts there unless earlier audio is still queued
+    recordAgent(payload, nowMs) {
+      const data = Buffer.from(payload, 'base64');
+      agentCursor = Math.max(agentCursor, Math.round(nowMs * SAMPLES_PER_MS));
+      agentChunks.push({ offset: agentCursor, data });
+      agentCursor += data.length;
+    },
+
+    // Drop agent audio Twilio never played (barge-in clear at atMs)
+    truncateAgent(atMs) {
+      const cut = Math.round(atMs * SAMPLES_PER_MS);
+      for (let i = agentChunks.length - 1; i >= 0; i--) {
+        const chunk = agentChunks[i];
+        if (chunk.offset >= cut) {
+          agentChunks.splice(i, 1);
+        } else if (chunk.offset + chunk.data.length > cut) {
+          chunk.data = chunk.data.subarray(0, cut - chunk.offset);
+        }
+      }
+      agentCursor = Math.min(agentCursor, cut);
+    },
+
+    isEmpty() {
+      return callerChunks.length === 0 && agentChunks.length === 0;
+    },
+
+    toWav() {
+      const end = (chunks) => chunks.reduce((max, c) => Math.max(max, c.offset + c.data.length), 0);
+      const totalSamples = Math.max(end(callerChunks), end(agentChunks));
+      const wav = Buffer.alloc(44 + totalSamples * 4);
+
+      wav.write('RIFF', 0);
+      wav.writeUInt32LE(36 + totalSamples * 4, 4);
+      wav.write('WAVE', 8);
+      wav.write('fmt ', 12);
+      wav.writeUInt32LE(16, 16);
+      wav.writeUInt16LE(1, 20); // PCM
+      wav.writeUInt16LE(2, 22); // stereo
+      wav.writeUInt32LE(SAMPLE_RATE, 24);
+      wav.writeUInt32LE(SAMPLE_RATE * 4, 28);
+      wav.writeUInt16LE(4, 32);
+      wav.writeUInt16LE(16, 34);
+      wav.write('data', 36);
+      wav.writeUInt32LE(totalSamples * 4, 40);
+
+      const place = (chunks, channel) => {
+        for (const { offset, data } of chunks) {
+          const pcm = mulawToPcm(data);
+          for (let i = 0; i < pcm.length; i++) {
+            wav.writeInt16LE(pcm[i], 44 + (offset + i) * 4 + channel * 2);
+          }
+        }
+      };
+      place(callerChunks, 0);
+      place(agentChunks, 1);
+      return wav;
+    },
+
+    async save(callSid) {
+      if (this.isEmpty()) return null;
+      try {
+        await mkdir(RECORDINGS_DIR, { recursive: true });
+        const file = join(RECORDINGS_DIR, `${callSid}.wav`);
+        await writeFile(file, this.toWav());
+        log.info('recording.saved', 'Recording saved', { callSid, file });
+        return file;
+      } catch (error) {
+        log.error('recording.save_failed', 'Failed to save recording', { callSid, error });
+        return null;
+      }
+    },
+  };
+}
+
+// GET /recordings/:callSid  (Authorization: Bearer MONITOR_TOKEN)
+export async function handleRecordingRoute(req, res, pathname) {
+  if (!pathname.startsWith('/recordings/')) return false;
+
+  if (!isTokenValid(getBearerToken(req), MONITOR_TOKEN)) {
+    sendJson(res, 401, { error: 'unauthorized' });
+    return true;
+  }
+
+  const callSid = pathname.slice('/recordings/'.length);
+  if (req.method !== 'GET' || !/^[A-Za-z0-9_-]+$/.test(callSid)) {
+    sendJson(res, 404, { error: 'not found' });
+    return true;
+  }
+
+  const file = join(RECORDINGS_DIR, `${callSid}.wav`);
+  let info;
+  try {
+    info = await stat(file);
+  } catch {
+    sendJson(res, 404, { error: 'recording not found' });
+    return true;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'audio/wav',
+    'Content-Length': info.size,
+    'Content-Disposition': `attachment; filename="${callSid}.wav"`,
+  });
+  createReadStream(file).pipe(res);
+  return true;
+}
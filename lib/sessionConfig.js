@@ -0,0 +1,130 @@
+// ============================================================
+// REALTIME SESSION SETTINGS
+// Model, voice, sampling and turn detection for a call. Defaults are
+// overridden by the script (scriptData.session) and then by the campaign
+// that placed the call (campaign.session).
+//
+// session = {
+//   model: 'gpt-4o-realtime-preview-2024-12-17',
+//   voice: 'shimmer',                    OpenAI voice; ignored by the elevenlabs and mock
+//                                        providers (default: scriptData.voiceId)
+//   temperature: 0.75,                   0.6 - 1.2
+//   maxResponseOutputTokens: 200,        1 - 4096 or 'inf'
+//   greetingMode: 'agent_first' | 'wait_for_caller',
+//   vadDelayMs: 1500,                    VAD is switched on this long after the greeting
+//   turnDetection: { type: 'server_vad', threshold, prefixPaddingMs, silenceDurationMs }
+//                | { type: 'semantic_vad', eagerness: 'low' | 'medium' | 'high' | 'auto' },
+// }
+// ============================================================
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('Session');
+
+const OPENAI_REALTIME_URL = process.env.OPENAI_REALTIME_URL || 'wss://api.openai.com/v1/realtime';
+export const DEFAULT_REALTIME_MODEL = process.env.OPENAI_REALTIME_MODEL || 'gpt-4o-realtime-preview-2024-12-17';
+
+const GREETING_MODES = ['agent_first', 'wait_for_caller'];
+const EAGERNESS_LEVELS = ['low', 'medium', 'high', 'auto'];
+
+const DEFAULT_SERVER_VAD = { type: 'server_vad', threshold: 0.55, prefixPaddingMs: 400, silenceDurationMs: 900 };
+
+const DEFAULT_SETTINGS = {
+  model: DEFAULT_REALTIME_MODEL,
+  voice: null,
+  temperature: 0.75,
+  maxResponseOutputTokens: 200,
+  greetingMode: 'agent_first',
+  vadDelayMs: 1500,
+  turnDetection: DEFAULT_SERVER_VAD,
+};
+
+function inRange(value, min, max) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+// Returns the turn detection settings, or an error string
+function parseTurnDetection(input) {
+  if (!input || typeof input !== 'object') return 'turnDetection must be an object';
+
+  if (input.type === 'semantic_vad') {
+    if (input.eagerness != null && !EAGERNESS_LEVELS.includes(input.eagerness)) {
+      return `turnDetection.eagerness must be one of ${EAGERNESS_LEVELS.join(', ')}`;
+    }
+    return { type: 'semantic_vad', eagerness: input.eagerness || 'auto' };
+  }
+
+  if (input.type != null && input.type !== 'server_vad') return 'turnDetection.type must be server_vad or semantic_vad';
+  const turnDetection = {
+    type: 'server_vad',
+    threshold: input.threshold ?? DEFAULT_SERVER_VAD.threshold,
+    prefixPaddingMs: input.prefixPaddingMs ?? DEFAULT_SERVER_VAD.prefixPaddingMs,
+    silenceDurationMs: input.silenceDurationMs ?? DEFAULT_SERVER_VAD.silenceDurationMs,
+  };
+  if (!inRange(turnDetection.threshold, 0, 1)) return 'turnDetection.threshold must be between 0 and 1';
+  if (!inRange(turnDetection.prefixPaddingMs, 0, 2000)) return 'turnDetection.prefixPaddingMs must be between 0 and 2000';
+  if (!inRange(turnDetection.silenceDurationMs, 100, 5000)) return 'turnDetection.silenceDurationMs must be between 100 and 5000';
+  return turnDetection;
+}
+
+// Keeps the valid fields of input and lists what was wrong with the rest
+function parseSettings(input) {
+  const settings = {};
+  const errors = [];
+  if (input == null) return { settings, errors };
+  if (typeof input !== 'object') return { settings, errors: ['session must be an object'] };
+
+  const field = (name, isValid, message) => {
+    if (input[name] === undefined) return;
+    if (isValid(input[name])) settings[name] = input[name];
+    else errors.push(`${name} ${message}`);
+  };
+  field('model', (v) => typeof v === 'string' && /^[\w.-]+$/.test(v), 'must be a model name');
+  field('voice', (v) => typeof v === 'string' && v.length > 0, 'must be a non-empty string');
+  field('temperature', (v) => inRange(v, 0.6, 1.2), 'must be between 0.6 and 1.2');
+  field('maxResponseOutputTokens', (v) => v === 'inf' || (Number.isInteger(v) && v >= 1 && v <= 4096), 'must be 1-4096 or "inf"');
+  field('greetingMode', (v) => GREETING_MODES.includes(v), `must be one of ${GREETING_MODES.join(', ')}`);
+  field('vadDelayMs', (v) => inRange(v, 0, 10000), 'must be between 0 and 10000');
+
+  if (input.turnDetection !== undefined) {
+    const turnDetection = parseTurnDetection(input.turnDetection);
+    if (typeof turnDetection === 'string') errors.push(turnDetection);
+    else settings.turnDetection = turnDetection;
+  }
+  return { settings, errors };
+}
+
+// Returns an error message, or null when the settings are valid
+export function validateSessionSettings(input) {
+  return parseSettings(input).errors[0] || null;
+}
+
+// Invalid script fields are logged and fall back to the defaults
+export function resolveSessionSettings(scriptData, overrides) {
+  const script = parseSettings(scriptData?.session);
+  if (script.errors.length > 0) {
+    log.warn('settings.invalid', 'Ignoring invalid script settings', { errors: script.errors });
+  }
+  return {
+    ...DEFAULT_SETTINGS,
+    ...script.settings,
+    ...parseSettings(overrides).settings,
+  };
+}
+
+export function realtimeUrl(model) {
+  return `${OPENAI_REALTIME_URL}?model=${encodeURIComponent(model)}`;
+}
+
+// Realtime API turn_detection payload
+export function toTurnDetection(turnDetection) {
+  if (turnDetection.type === 'semantic_vad') {
+    return { type: 'semantic_vad', eagerness: turnDetection.eagerness };
+  }
+  return {
+    type: 'server_vad',
+    threshold: turnDetection.threshold,
+    prefix_padding_ms: turnDetection.prefixPaddingMs,
+    silence_duration_ms: turnDetection.silenceDurationMs,
+  };
+}
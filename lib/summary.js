@@ -0,0 +1,49 @@
+// ============================================================
+// CONVERSATION SUMMARIES
+// Text summaries generated with the OpenAI Chat Completions API.
+// ============================================================
+
+import { getLocale } from './locale.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Summary');
+
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const OPENAI_API_BASE_URL = process.env.OPENAI_API_BASE_URL || 'https://api.openai.com';
+const SUMMARY_MODEL = process.env.SUMMARY_MODEL || 'gpt-4o-mini';
+const SUMMARY_TIMEOUT_MS = parseInt(process.env.SUMMARY_TIMEOUT_MS || '8000', 10);
+
+export async function chatCompletion(messages, options = {}) {
+  const { timeoutMs, ...params } = options;
+  const response = await fetch(`${OPENAI_API_BASE_URL}/v1/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${OPENAI_API_KEY}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ model: SUMMARY_MODEL, temperature: 0.2, ...params, messages }),
+    signal: AbortSignal.timeout(timeoutMs || SUMMARY_TIMEOUT_MS),
+  });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const body = await response.json();
+  return body.choices?.[0]?.message?.content?.trim() || '';
+}
+
+// Short spoken briefing, in the call's language, for a human agent taking over
+// the call. Falls back to the last lines of the transcript if the summary can't be generated.
+export async function summarizeForHandoff(formattedTranscript, locale) {
+  try {
+    const summary = await chatCompletion([
+      {
+        role: 'system',
+        content: 'Você resume ligações de vendas para um vendedor humano que vai assumir a ligação agora. '
+          + `Escreva no máximo 3 frases curtas em ${getLocale(locale).languageName}: quem é o cliente, o que ele quer e o que já foi combinado.`,
+      },
+      { role: 'user', content: formattedTranscript },
+    ], { max_tokens: 150 });
+    if (summary) return summary;
+  } catch (error) {
+    log.warn('handoff_summary.failed', 'Handoff summary failed', { error });
+  }
+  return formattedTranscript.split('\n').slice(-4).join(' ');
+}
@@ -0,0 +1,150 @@
+// ============================================================
+// SUPERVISOR CONTROLS
+// Act on a live call through the controls each session registers in
+// activeSessions. Authenticated with the same MONITOR_TOKEN as /monitor.
+//
+// HTTP (Authorization: Bearer <token>):
+//   GET  /calls                               calls in flight
+//   POST /calls/:streamSid/whisper  { text }  hidden instruction to the model
+//   POST /calls/:streamSid/say      { text }  assistant says this sentence now
+//   POST /calls/:streamSid/mute | unmute
+//   POST /calls/:streamSid/hangup   { text? } optional goodbye, then end the call
+//
+// /monitor WebSocket messages ({ action, streamSid, ... }): the same actions,
+// plus takeover / release / operator.audio { payload } for human takeover.
+// While taken over, the operator receives caller.audio events.
+// ============================================================
+
+import { WebSocket } from 'ws';
+import { getBearerToken, isTokenValid, readParsedBody, sendJson } from './http.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Supervisor');
+
+const MONITOR_TOKEN = process.env.MONITOR_TOKEN;
+
+const TEXT_ACTIONS = new Set(['whisper', 'say']);
+const HTTP_ACTIONS = new Set(['whisper', 'say', 'mute', 'unmute', 'hangup']);
+
+function runControl(session, action, params, operator) {
+  const { controls } = session;
+
+  if (TEXT_ACTIONS.has(action) && !(typeof params.text === 'string' && params.text.trim())) {
+    throw new Error('text is required');
+  }
+
+  switch (action) {
+    case 'whisper': return controls.whisper(params.text.trim());
+    case 'say': return controls.say(params.text.trim());
+    case 'mute': return controls.mute();
+    case 'unmute': return controls.unmute();
+    case 'hangup': return controls.hangup(params.text?.trim());
+    case 'takeover':
+      controls.takeover((payload) => {
+        if (operator.ws.readyState === WebSocket.OPEN) {
+          operator.ws.send(JSON.stringify({ type: 'caller.audio', streamSid: session.streamSid, payload }));
+        }
+      });
+      operator.takeovers.add(session.streamSid);
+      return;
+    case 'release':
+      if (!operator.takeovers.has(session.streamSid)) throw new Error('this operator has not taken over the call');
+      operator.takeovers.delete(session.streamSid);
+      return controls.release();
+    case 'operator.audio':
+      if (!operator.takeovers.has(session.streamSid)) throw new Error('this operator has not taken over the call');
+      return controls.operatorAudio(params.payload);
+    default:
+      throw new Error(`unknown action: ${action}`);
+  }
+}
+
+export async function handleSupervisorRoute(req, res, pathname, activeSessions) {
+  if (pathname !== '/calls' && !pathname.startsWith('/calls/')) return false;
+
+  if (!isTokenValid(getBearerToken(req), MONITOR_TOKEN)) {
+    sendJson(res, 401, { error: 'unauthorized' });
+    return true;
+  }
+
+  const [, streamSid, action] = pathname.split('/').filter(Boolean);
+
+  if (!streamSid && req.method === 'GET') {
+    sendJson(res, 200, {
+      calls: [...activeSessions.values()].map((s) => ({
+        streamSid: s.streamSid, callSid: s.callSid, scriptId: s.scriptId, startTime: s.startTime, ...s.stats?.(),
+      })),
+    });
+    return true;
+  }
+
+  if (req.method !== 'POST' || !HTTP_ACTIONS.has(action)) {
+    sendJson(res, 404, { error: 'not found' });
+    return true;
+  }
+
+  const session = activeSessions.get(streamSid);
+  if (!session?.controls) {
+    sendJson(res, 404, { error: 'call not found' });
+    return true;
+  }
+
+  let params;
+  try {
+    params = await readParsedBody(req);
+  } catch (error) {
+    sendJson(res, 400, { error: `invalid body: ${error.message}` });
+    return true;
+  }
+
+  try {
+    runControl(session, action, params || {}, null);
+  } catch (error) {
+    sendJson(res, 409, { error: error.message });
+    return true;
+  }
+  log.info(`supervisor.${action}`, 'Supervisor action', { streamSid, callSid: session.callSid, scriptId: session.scriptId });
+  sendJson(res, 200, { ok: true, action, streamSid });
+  return true;
+}
+
+// Commands sent by a supervisor over the /monitor WebSocket
+export function handleOperatorMessage(operator, message, activeSessions) {
+  let command;
+  try {
+    command = JSON.parse(message.toString());
+  } catch {
+    return;
+  }
+
+  const reply = (body) => {
+    if (operator.ws.readyState === WebSocket.OPEN) operator.ws.send(JSON.stringify(body));
+  };
+  const session = activeSessions.get(command.streamSid);
+  if (!session?.controls) {
+    reply({ type: 'control.error', action: command.action, streamSid: command.streamSid, error: 'call not found' });
+    return;
+  }
+
+  try {
+    runControl(session, command.action, command, operator);
+    // Audio frames are too frequent to acknowledge
+    if (command.action !== 'operator.audio') {
+      reply({ type: 'control.ok', action: command.action, streamSid: command.streamSid });
+    }
+  } catch (error) {
+    reply({ type: 'control.error', action: command.action, streamSid: command.streamSid, error: error.message });
+  }
+}
+
+// Give calls back to the AI when the operator's socket goes away
+export function releaseOperator(operator, activeSessions) {
+  for (const streamSid of operator.takeovers) {
+    try {
+      activeSessions.get(streamSid)?.controls?.release();
+    } catch (error) {
+      log.error('operator.release_failed', 'Could not give the call back to the AI', { streamSid, error });
+    }
+  }
+  operator.takeovers.clear();
+}
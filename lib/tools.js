@@ -0,0 +1,187 @@
+// ============================================================
+// REALTIME FUNCTION CALLING
+// Scripts declare the tools the assistant may call during the call.
+// Each tool is registered in the session and executed against the
+// Zenix backend under API_BASE_URL.
+//
+// transfer_to_human, advance_stage and collect_digits are reserved: the
+// server enables them from the script's transfer, flow and dtmf settings and
+// runs them itself. Scripts can't declare tools with those names.
+// ============================================================
+
+import { ADVANCE_STAGE_TOOL } from './flow.js';
+import { COLLECT_DIGITS_TOOL } from './dtmf.js';
+import { DEFAULT_LOCALE, getLocale } from './locale.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Tools');
+
+const API_BASE_URL = process.env.API_BASE_URL || 'https://zenix.group';
+const TOOL_TIMEOUT_MS = parseInt(process.env.TOOL_TIMEOUT_MS || '8000', 10);
+
+export const TRANSFER_TOOL = 'transfer_to_human';
+
+// Tools the server handles itself instead of calling a backend endpoint
+export const LOCAL_TOOLS = [TRANSFER_TOOL, ADVANCE_STAGE_TOOL, COLLECT_DIGITS_TOOL];
+
+// Built-in tools. A script can enable them by name or override any field.
+// Descriptions come from the call's locale (see localizeTool).
+const BUILTIN_TOOLS = {
+  check_availability: {
+    parameters: {
+      type: 'object',
+      properties: {
+        date: { type: 'string' },
+        period: { type: 'string', enum: ['manha', 'tarde', 'qualquer'] },
+      },
+      required: ['date'],
+    },
+    endpoint: '/api/tools/check-availability',
+  },
+  book_meeting: {
+    parameters: {
+      type: 'object',
+      properties: {
+        datetime: { type: 'string' },
+        name: { type: 'string' },
+        email: { type: 'string' },
+        notes: { type: 'string' },
+      },
+      required: ['datetime'],
+    },
+    endpoint: '/api/tools/book-meeting',
+    interestSignal: true,
+  },
+  send_whatsapp: {
+    parameters: {
+      type: 'object',
+      properties: {
+        message: { type: 'string' },
+        phone: { type: 'string' },
+      },
+      required: ['message'],
+    },
+    endpoint: '/api/tools/send-whatsapp',
+    interestSignal: true,
+  },
+  capture_email: {
+    parameters: {
+      type: 'object',
+      properties: {
+        email: { type: 'string' },
+      },
+      required: ['email'],
+    },
+    endpoint: '/api/tools/capture-email',
+  },
+  // Warm transfer, handled by the server
+  [TRANSFER_TOOL]: {
+    parameters: {
+      type: 'object',
+      properties: {
+        reason: { type: 'string' },
+      },
+    },
+  },
+};
+
+// Fill in the tool and parameter descriptions the definition leaves out
+function localizeTool(tool, text) {
+  if (!text) return tool;
+  const properties = Object.fromEntries(Object.entries(tool.parameters?.properties || {}).map(([key, property]) => [
+    key, property.description || !text.parameters[key] ? property : { ...property, description: text.parameters[key] },
+  ]));
+  return {
+    ...tool,
+    description: tool.description || text.description,
+    ...(tool.parameters && { parameters: { ...tool.parameters, properties } }),
+  };
+}
+
+// Resolve the tools declared in scriptData.tools. Entries may be a built-in
+// name ("book_meeting") or an object with { name, description, parameters, endpoint }.
+// localTools are the LOCAL_TOOLS the server enables on its own, by name or definition.
+// Built-in and local tools are described in the call's locale.
+export function resolveScriptTools(scriptData, localTools = [], locale = DEFAULT_LOCALE) {
+  const declared = Array.isArray(scriptData?.tools) ? scriptData.tools : [];
+  const text = getLocale(locale).tools;
+  const tools = new Map();
+
+  for (const entry of declared) {
+    const spec = typeof entry === 'string' ? { name: entry } : entry;
+    if (!spec?.name || tools.has(spec.name)) continue;
+    if (LOCAL_TOOLS.includes(spec.name)) {
+      log.warn('tool.reserved', 'Ignoring tool: the name is reserved for a server tool', { tool: spec.name });
+      continue;
+    }
+
+    const tool = localizeTool({ name: spec.name, ...BUILTIN_TOOLS[spec.name], ...spec }, text[spec.name]);
+    if (!tool.description || !tool.endpoint) {
+      log.warn('tool.ignored', 'Ignoring tool: missing description or endpoint', { tool: spec.name });
+      continue;
+    }
+    if (!tool.parameters) tool.parameters = { type: 'object', properties: {} };
+    tools.set(tool.name, tool);
+  }
+
+  for (const entry of localTools) {
+    const spec = typeof entry === 'string' ? { name: entry } : entry;
+    if (!LOCAL_TOOLS.includes(spec.name)) throw new Error(`${spec.name} is not a local tool`);
+    tools.set(spec.name, localizeTool({ name: spec.name, ...BUILTIN_TOOLS[spec.name], ...spec }, text[spec.name]));
+  }
+
+  return tools;
+}
+
+// Session-level definitions for the Realtime API session.update
+export function toSessionTools(tools) {
+  return [...tools.values()].map(({ name, description, parameters }) => ({
+    type: 'function',
+    name,
+    description,
+    parameters,
+  }));
+}
+
+// Execute a tool call against the backend. Always resolves with an object the
+// model can read, so failures are reported back to the conversation: { ok: true,
+// result: <backend body> } or { ok: false, error }.
+export async function executeTool(tool, args, context) {
+  const url = /^https?:\/\//.test(tool.endpoint) ? tool.endpoint : `${API_BASE_URL}${tool.endpoint}`;
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...context, tool: tool.name, arguments: args }),
+      signal: AbortSignal.timeout(TOOL_TIMEOUT_MS),
+    });
+
+    const text = await response.text();
+    let body;
+    try {
+      body = text ? JSON.parse(text) : {};
+    } catch {
+      body = { message: text };
+    }
+
+    if (!response.ok) {
+      log.error('tool.failed', 'Tool backend returned an error', { tool: tool.name, status: response.status, callSid: context.callSid, scriptId: context.scriptId });
+      return { ok: false, error: body?.error || `HTTP ${response.status}` };
+    }
+    return { ok: true, result: body };
+  } catch (error) {
+    log.error('tool.failed', 'Tool call failed', { tool: tool.name, callSid: context.callSid, scriptId: context.scriptId, error });
+    return { ok: false, error: error.name === 'TimeoutError' ? 'timeout' : error.message };
+  }
+}
+
+// Parse the JSON arguments string from response.function_call_arguments.done
+export function parseToolArguments(raw) {
+  if (!raw) return {};
+  try {
+    const args = JSON.parse(raw);
+    return args && typeof args === 'object' ? args : {};
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,208 @@
+// ============================================================
+// WARM TRANSFER TO A HUMAN SDR
+// The caller is held on the media stream while agents from the script's
+// routing table are dialed in order. The agent hears a summary of the
+// conversation, and once they answer the caller's call is redirected into
+// a conference with them. If nobody answers, the AI resumes the call.
+//
+// scriptData.transfer = {
+//   agents: [{ name, phone }],        routing table, dialed in order
+//   onInterest: false,                transfer when interest is detected (opt-in)
+//   allowToolCall: true,              expose the transfer_to_human tool
+//   announcement, callbackMessage,    what the AI says / is told to do
+//   ringTimeoutSeconds: 20, fromNumber
+// }
+// ============================================================
+
+import { randomUUID } from 'crypto';
+import { parse } from 'url';
+import {
+  createCall, updateCall, escapeXml, isTwilioConfigured, isTwilioWebhookValid, TWILIO_FROM_NUMBER, PUBLIC_BASE_URL,
+} from './twilio.js';
+import { readParsedBody, sendJson } from './http.js';
+import { summarizeForHandoff } from './summary.js';
+import { getLocale, DEFAULT_LOCALE } from './locale.js';
+import { enqueueDelivery } from './delivery.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Transfer');
+
+const transfers = new Map(); // transferId -> transfer
+
+export function resolveTransferConfig(scriptData, locale = DEFAULT_LOCALE) {
+  const config = scriptData?.transfer;
+  const agents = Array.isArray(config?.agents) ? config.agents.filter((a) => a?.phone) : [];
+  if (agents.length === 0) return null;
+
+  if (!isTwilioConfigured()) {
+    log.error('transfer.unconfigured', 'Script has a transfer routing table but Twilio is not configured');
+    return null;
+  }
+
+  return {
+    agents,
+    onInterest: config.onInterest === true,
+    allowToolCall: config.allowToolCall !== false,
+    announcement: config.announcement || getLocale(locale).spoken.transferAnnouncement,
+    callbackMessage: config.callbackMessage || getLocale(locale).notes.transferCallback,
+    ringTimeoutSeconds: config.ringTimeoutSeconds || 20,
+    fromNumber: config.fromNumber || TWILIO_FROM_NUMBER,
+    locale, // of the agent briefing
+  };
+}
+
+function notifyBackend(transfer, status) {
+  enqueueDelivery({
+    event: 'transfer',
+    path: '/api/twilio/transfer',
+    body: {
+      callSid: transfer.callSid,
+      scriptId: transfer.scriptId,
+      contactPhone: transfer.contactPhone,
+      reason: transfer.reason,
+      status,
+      agent: transfer.agent,
+      summary: transfer.summary,
+      transcription: transfer.transcript,
+      at: new Date().toISOString(),
+    },
+    callSid: transfer.callSid,
+    idempotencyKey: `${transfer.callSid}:transfer:${transfer.id}:${status}`,
+  });
+}
+
+function conferenceName(transfer) {
+  return `transfer-${transfer.callSid}`;
+}
+
+async function dialNextAgent(transfer) {
+  if (transfer.finished) return;
+  const agent = transfer.config.agents[transfer.agentIndex++];
+  if (!agent) {
+    finish(transfer, 'no_answer');
+    transfer.onFailed('no agent answered');
+    return;
+  }
+
+  transfer.agent = agent;
+  const { sayLanguage, handoffIntro } = getLocale(transfer.config.locale);
+  const twiml = '<Response>'
+    + `<Say language="${sayLanguage}">${escapeXml(`${handoffIntro} ${transfer.summary}`)}</Say>`
+    + `<Dial><Conference startConferenceOnEnter="true" endConferenceOnExit="true" beep="false">${conferenceName(transfer)}</Conference></Dial>`
+    + '</Response>';
+
+  try {
+    transfer.agentCallSid = await createCall({
+      To: agent.phone,
+      From: transfer.config.fromNumber,
+      Twiml: twiml,
+      Timeout: transfer.config.ringTimeoutSeconds,
+      StatusCallback: `${PUBLIC_BASE_URL}/transfers/twilio-status?transferId=${transfer.id}`,
+      StatusCallbackEvent: ['answered', 'completed'],
+    });
+    log.info('agent.dialing', 'Dialing agent', {
+      callSid: transfer.callSid, agent: agent.name, phone: agent.phone, agentCallSid: transfer.agentCallSid,
+    });
+  } catch (error) {
+    log.error('agent.dial_failed', 'Failed to dial agent', { callSid: transfer.callSid, agent: agent.name, phone: agent.phone, error });
+    dialNextAgent(transfer);
+  }
+}
+
+function finish(transfer, status) {
+  if (transfer.finished) return;
+  transfer.finished = true;
+  transfer.status = status;
+  transfers.delete(transfer.id);
+  notifyBackend(transfer, status);
+}
+
+// Start dialing agents; onConnecting runs when an agent answers, right before
+// the caller is redirected, then onConnected or onFailed once with the result
+export function startWarmTransfer({ callSid, scriptId, contactPhone, reason, config, transcript, onConnecting, onConnected, onFailed }) {
+  const transfer = {
+    id: randomUUID(),
+    callSid, scriptId, contactPhone, reason, config, transcript,
+    onConnecting, onConnected, onFailed,
+    summary: null,
+    agent: null,
+    agentIndex: 0,
+    agentCallSid: null,
+    status: 'dialing',
+    finished: false,
+  };
+  transfers.set(transfer.id, transfer);
+
+  summarizeForHandoff(transcript, config.locale).then((summary) => {
+    transfer.summary = summary;
+    dialNextAgent(transfer);
+  });
+  return transfer;
+}
+
+// Caller hung up (or the call ended) before an agent was connected. The
+// redirect into the conference ends the media stream too, so a transfer that
+// is already connecting is left alone.
+export function cancelWarmTransfer(transfer) {
+  if (transfer.finished || transfer.status === 'connecting') return;
+  finish(transfer, 'cancelled');
+  if (transfer.agentCallSid) {
+    updateCall(transfer.agentCallSid, { Status: 'completed' })
+      .catch((error) => log.error('agent.cancel_failed', 'Failed to cancel agent call', { callSid: transfer.callSid, error }));
+  }
+}
+
+async function handleAgentStatus(transfer, params) {
+  if (transfer.finished || transfer.status === 'connecting' || params.CallSid !== transfer.agentCallSid) return;
+
+  if (params.CallStatus === 'in-progress') {
+    // Agent answered: move the caller into the conference (this ends the media stream)
+    transfer.status = 'connecting';
+    transfer.onConnecting(transfer.agent);
+    try {
+      await updateCall(transfer.callSid, {
+        Twiml: '<Response><Dial><Conference startConferenceOnEnter="false" endConferenceOnExit="true" beep="false">'
+          + `${conferenceName(transfer)}</Conference></Dial></Response>`,
+      });
+    } catch (error) {
+      log.error('transfer.redirect_failed', 'Failed to redirect caller', { callSid: transfer.callSid, error });
+      updateCall(transfer.agentCallSid, { Status: 'completed' }).catch(() => {});
+      finish(transfer, 'failed');
+      transfer.onFailed(error.message);
+      return;
+    }
+    log.info('agent.connected', 'Agent connected', { callSid: transfer.callSid, agent: transfer.agent.name, phone: transfer.agent.phone });
+    finish(transfer, 'connected');
+    transfer.onConnected(transfer.agent);
+    return;
+  }
+
+  if (['completed', 'busy', 'no-answer', 'failed', 'canceled'].includes(params.CallStatus)) {
+    log.info('agent.call_status', 'Agent call ended', { callSid: transfer.callSid, phone: transfer.agent.phone, status: params.CallStatus });
+    dialNextAgent(transfer);
+  }
+}
+
+// POST /transfers/twilio-status?transferId=...  status callback for agent legs
+export async function handleTransferRoute(req, res, pathname) {
+  if (pathname !== '/transfers/twilio-status' || req.method !== 'POST') return false;
+
+  const { query } = parse(req.url, true);
+  let params;
+  try {
+    params = await readParsedBody(req);
+  } catch (error) {
+    sendJson(res, 400, { error: `invalid body: ${error.message}` });
+    return true;
+  }
+  if (!isTwilioWebhookValid(req, params)) {
+    sendJson(res, 403, { error: 'invalid signature' });
+    return true;
+  }
+  const transfer = transfers.get(query.transferId);
+  if (transfer) await handleAgentStatus(transfer, params);
+
+  res.writeHead(204);
+  res.end();
+  return true;
+}
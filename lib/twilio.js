@@ -0,0 +1,90 @@
+// ============================================================
+// TWILIO REST CLIENT
+// Minimal client for the Calls resource. TWILIO_API_BASE_URL can point
+// at a local stub for testing. Also validates X-Twilio-Signature on
+// webhooks and media stream connections.
+// ============================================================
+
+import { createHmac } from 'crypto';
+import { isTokenValid } from './http.js';
+
+const TWILIO_API_BASE_URL = process.env.TWILIO_API_BASE_URL || 'https://api.twilio.com';
+const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
+const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
+
+export const TWILIO_FROM_NUMBER = process.env.TWILIO_FROM_NUMBER;
+export const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '');
+
+export function isTwilioConfigured() {
+  return !!(TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN && PUBLIC_BASE_URL);
+}
+
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export function canValidateTwilioSignatures() {
+  return !!TWILIO_AUTH_TOKEN;
+}
+
+// X-Twilio-Signature: base64 HMAC-SHA1 of the full URL followed by the sorted POST params
+export function isValidTwilioSignature(url, params, signature) {
+  if (!TWILIO_AUTH_TOKEN || !signature) return false;
+  const data = Object.keys(params).sort().reduce((acc, key) => acc + key + params[key], url);
+  const expected = createHmac('sha1', TWILIO_AUTH_TOKEN).update(data).digest('base64');
+  return isTokenValid(signature, expected);
+}
+
+// Webhooks are only accepted unsigned when no auth token is configured
+export function isTwilioWebhookValid(req, params) {
+  if (!TWILIO_AUTH_TOKEN) return true;
+  return isValidTwilioSignature(`${PUBLIC_BASE_URL}${req.url}`, params, req.headers['x-twilio-signature']);
+}
+
+// <Connect><Stream> back to this server's /media-stream with customParameters.
+// query is added to the stream URL (e.g. an auth token).
+export function buildStreamTwiml(parameters, query = {}) {
+  const search = new URLSearchParams(Object.entries(query).filter(([, value]) => value != null)).toString();
+  const streamUrl = `${PUBLIC_BASE_URL.replace(/^http/, 'ws')}/media-stream${search ? `?${search}` : ''}`;
+  const params = Object.entries(parameters)
+    .filter(([, value]) => value != null)
+    .map(([name, value]) => `<Parameter name="${escapeXml(name)}" value="${escapeXml(value)}"/>`)
+    .join('');
+  return `<Response><Connect><Stream url="${escapeXml(streamUrl)}">${params}</Stream></Connect></Response>`;
+}
+
+async function callsRequest(path, params) {
+  const form = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value == null) continue;
+    for (const v of Array.isArray(value) ? value : [value]) form.append(key, String(v));
+  }
+
+  const response = await fetch(`${TWILIO_API_BASE_URL}/2010-04-01/Accounts/${TWILIO_ACCOUNT_SID}/${path}`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Basic ${Buffer.from(`${TWILIO_ACCOUNT_SID}:${TWILIO_AUTH_TOKEN}`).toString('base64')}`,
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+    body: form.toString(),
+  });
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(body.message || `HTTP ${response.status}`);
+  return body;
+}
+
+// Place an outbound call; resolves with the new CallSid
+export async function createCall(params) {
+  const body = await callsRequest('Calls.json', params);
+  return body.sid;
+}
+
+// Modify a live call, e.g. redirect it with new Twiml or complete it
+export async function updateCall(callSid, params) {
+  return callsRequest(`Calls/${callSid}.json`, params);
+}
@@ -0,0 +1,260 @@
+// ============================================================
+// USAGE AND COST ACCOUNTING
+// Each call accumulates the token usage of every Realtime response.done,
+// the caller speech sent to Whisper (speech_started/stopped audio offsets)
+// and its duration. When the call ends its cost is computed from the price
+// table and one line is appended to USAGE_DIR/<YYYY-MM-DD>.jsonl (UTC day),
+// which the aggregate endpoint reads back.
+//
+// Prices are USD per 1M tokens (and per minute for transcription and
+// telephony). USAGE_PRICES (JSON) overrides the defaults, e.g.
+//   {"models":{"gpt-4o-realtime-preview":{"audioInput":40}},"telephonyPerMinute":0.014}
+// Models are matched by the longest key that prefixes the model name.
+//
+// Admin (Authorization: Bearer ADMIN_TOKEN):
+//   GET /admin/usage?from=YYYY-MM-DD&to=YYYY-MM-DD&scriptId=   totals by script and by day
+// ============================================================
+
+import { appendFile, mkdir, readdir, readFile } from 'fs/promises';
+import { join, resolve } from 'path';
+import { sendJson } from './http.js';
+import { isAdminRequest } from './auth.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Usage');
+
+const USAGE_DIR = resolve(process.env.USAGE_DIR || './usage');
+const DEFAULT_RANGE_DAYS = 30;
+
+const DEFAULT_PRICES = {
+  models: {
+    'gpt-4o-realtime-preview': {
+      textInput: 5, cachedTextInput: 2.5, textOutput: 20,
+      audioInput: 40, cachedAudioInput: 2.5, audioOutput: 80,
+    },
+    'gpt-4o-mini-realtime-preview': {
+      textInput: 0.6, cachedTextInput: 0.3, textOutput: 2.4,
+      audioInput: 10, cachedAudioInput: 0.3, audioOutput: 20,
+    },
+    'gpt-realtime': {
+      textInput: 4, cachedTextInput: 0.4, textOutput: 16,
+      audioInput: 32, cachedAudioInput: 0.4, audioOutput: 64,
+    },
+  },
+  transcriptionPerMinute: 0.006,
+  telephonyPerMinute: 0,
+};
+
+const PRICES = loadPrices();
+
+function loadPrices() {
+  if (!process.env.USAGE_PRICES) return DEFAULT_PRICES;
+  try {
+    const overrides = JSON.parse(process.env.USAGE_PRICES);
+    const models = { ...DEFAULT_PRICES.models };
+    for (const [model, prices] of Object.entries(overrides.models || {})) {
+      models[model] = { ...models[model], ...prices };
+    }
+    return { ...DEFAULT_PRICES, ...overrides, models };
+  } catch (error) {
+    log.error('prices.invalid', 'Invalid USAGE_PRICES, using the defaults', { error });
+    return DEFAULT_PRICES;
+  }
+}
+
+function modelPrices(model) {
+  const key = Object.keys(PRICES.models)
+    .filter((name) => model?.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!key) log.warn('prices.unknown_model', 'No price for model, using gpt-4o-realtime-preview', { model });
+  return PRICES.models[key || 'gpt-4o-realtime-preview'];
+}
+
+// ============================================================
+// PER-CALL USAGE
+// ============================================================
+export function createUsage() {
+  return {
+    responses: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    inputTextTokens: 0,
+    inputAudioTokens: 0,
+    cachedTextTokens: 0,
+    cachedAudioTokens: 0,
+    outputTextTokens: 0,
+    outputAudioTokens: 0,
+    callerAudioMs: 0,
+    agentAudioMs: 0,
+    transcriptionMs: 0,
+    durationMs: null,
+  };
+}
+
+// usage block of a Realtime response.done
+export function addResponseUsage(usage, reported) {
+  if (!reported) return;
+  const input = reported.input_token_details || {};
+  const cached = input.cached_tokens_details || {};
+  const output = reported.output_token_details || {};
+
+  usage.responses++;
+  usage.inputTokens += reported.input_tokens || 0;
+  usage.outputTokens += reported.output_tokens || 0;
+  usage.inputTextTokens += input.text_tokens || 0;
+  usage.inputAudioTokens += input.audio_tokens || 0;
+  usage.cachedTextTokens += cached.text_tokens || 0;
+  usage.cachedAudioTokens += cached.audio_tokens || 0;
+  usage.outputTextTokens += output.text_tokens || 0;
+  usage.outputAudioTokens += output.audio_tokens || 0;
+}
+
+const perMillion = (tokens, price) => (tokens * price) / 1e6;
+const toMicros = (usd) => Math.round(usd * 1e6);
+
+// USD with a breakdown; amounts are rounded to the micro-dollar
+export function computeCost(usage, model) {
+  const prices = modelPrices(model);
+  const realtime = perMillion(usage.inputTextTokens - usage.cachedTextTokens, prices.textInput)
+    + perMillion(usage.cachedTextTokens, prices.cachedTextInput)
+    + perMillion(usage.inputAudioTokens - usage.cachedAudioTokens, prices.audioInput)
+    + perMillion(usage.cachedAudioTokens, prices.cachedAudioInput)
+    + perMillion(usage.outputTextTokens, prices.textOutput)
+    + perMillion(usage.outputAudioTokens, prices.audioOutput);
+  const transcription = (usage.transcriptionMs / 60000) * PRICES.transcriptionPerMinute;
+  // Carriers bill started minutes
+  const telephony = Math.ceil((usage.durationMs || 0) / 60000) * PRICES.telephonyPerMinute;
+
+  const micros = { realtime: toMicros(realtime), transcription: toMicros(transcription), telephony: toMicros(telephony) };
+  return {
+    currency: 'USD',
+    realtime: micros.realtime / 1e6,
+    transcription: micros.transcription / 1e6,
+    telephony: micros.telephony / 1e6,
+    total: (micros.realtime + micros.transcription + micros.telephony) / 1e6,
+  };
+}
+
+// ============================================================
+// USAGE LEDGER
+// ============================================================
+let dirReady = null;
+
+export async function recordCallUsage({ callSid, scriptId, campaignId, model, startedAt, usage, cost }) {
+  const endedAt = new Date();
+  const record = {
+    callSid,
+    scriptId: scriptId || null,
+    campaignId: campaignId || null,
+    model,
+    day: endedAt.toISOString().slice(0, 10),
+    startedAt: startedAt.toISOString(),
+    endedAt: endedAt.toISOString(),
+    usage,
+    cost,
+  };
+  try {
+    dirReady ||= mkdir(USAGE_DIR, { recursive: true });
+    await dirReady;
+    await appendFile(join(USAGE_DIR, `${record.day}.jsonl`), `${JSON.stringify(record)}\n`);
+    log.info('usage.recorded', 'Call usage recorded', { callSid, scriptId, costUsd: cost.total });
+  } catch (error) {
+    log.error('usage.record_failed', 'Failed to record call usage', { callSid, scriptId, error });
+  }
+}
+
+async function readRecords(from, to) {
+  let files;
+  try {
+    files = await readdir(USAGE_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const records = [];
+  for (const name of files.sort()) {
+    const day = name.replace(/\.jsonl$/, '');
+    if (!name.endsWith('.jsonl') || day < from || day > to) continue;
+    const lines = (await readFile(join(USAGE_DIR, name), 'utf8')).split('\n').filter(Boolean);
+    for (const line of lines) {
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        log.warn('usage.unreadable_line', 'Skipping unreadable usage line', { file: name });
+      }
+    }
+  }
+  return records;
+}
+
+const SUMMED_FIELDS = ['inputTokens', 'outputTokens', 'inputTextTokens', 'inputAudioTokens', 'cachedTextTokens',
+  'cachedAudioTokens', 'outputTextTokens', 'outputAudioTokens', 'transcriptionMs', 'durationMs'];
+
+function emptyTotals() {
+  return { calls: 0, ...Object.fromEntries(SUMMED_FIELDS.map((f) => [f, 0])), costMicros: 0 };
+}
+
+function addRecord(totals, record) {
+  totals.calls++;
+  for (const field of SUMMED_FIELDS) totals[field] += record.usage[field] || 0;
+  totals.costMicros += toMicros(record.cost.total);
+}
+
+function finishTotals({ costMicros, ...totals }) {
+  return { ...totals, costUsd: costMicros / 1e6 };
+}
+
+export function aggregateUsage(records) {
+  const total = emptyTotals();
+  const byScript = new Map();
+  const byDay = new Map();
+  for (const record of records) {
+    const scriptKey = record.scriptId ?? 'none';
+    if (!byScript.has(scriptKey)) byScript.set(scriptKey, emptyTotals());
+    if (!byDay.has(record.day)) byDay.set(record.day, emptyTotals());
+    addRecord(total, record);
+    addRecord(byScript.get(scriptKey), record);
+    addRecord(byDay.get(record.day), record);
+  }
+  return {
+    currency: 'USD',
+    total: finishTotals(total),
+    byScript: [...byScript].map(([scriptId, totals]) => ({ scriptId, ...finishTotals(totals) })),
+    byDay: [...byDay].sort(([a], [b]) => a.localeCompare(b)).map(([day, totals]) => ({ day, ...finishTotals(totals) })),
+  };
+}
+
+// ============================================================
+// ADMIN ROUTE
+// ============================================================
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export async function handleUsageRoute(req, res, pathname) {
+  if (pathname !== '/admin/usage') return false;
+
+  if (!isAdminRequest(req)) {
+    sendJson(res, 401, { error: 'unauthorized' });
+    return true;
+  }
+  if (req.method !== 'GET') {
+    sendJson(res, 404, { error: 'not found' });
+    return true;
+  }
+
+  const { searchParams } = new URL(req.url, 'http://localhost');
+  const today = new Date().toISOString().slice(0, 10);
+  const to = searchParams.get('to') || today;
+  const from = searchParams.get('from');
+  if (!DAY_PATTERN.test(to) || Number.isNaN(Date.parse(to)) || (from && !DAY_PATTERN.test(from))) {
+    sendJson(res, 400, { error: 'from and to must be YYYY-MM-DD' });
+    return true;
+  }
+  const since = from || new Date(Date.parse(to) - (DEFAULT_RANGE_DAYS - 1) * 86400000).toISOString().slice(0, 10);
+
+  const scriptId = searchParams.get('scriptId');
+  const records = (await readRecords(since, to))
+    .filter((record) => !scriptId || String(record.scriptId) === scriptId);
+  sendJson(res, 200, { from: since, to, scriptId, ...aggregateUsage(records) });
+  return true;
+}
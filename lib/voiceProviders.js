@@ -0,0 +1,151 @@
+// ============================================================
+// VOICE PROVIDERS
+// openai:     native Realtime audio (response.audio.delta forwarded as-is)
+// elevenlabs: text-only Realtime responses spoken via ElevenLabs streaming TTS
+// mock:       deterministic μ-law silence, for local tests without TTS credentials
+// ============================================================
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('Voice');
+
+const VOICE_PROVIDER = (process.env.VOICE_PROVIDER || 'openai').toLowerCase();
+const OPENAI_VOICE = process.env.OPENAI_VOICE || 'shimmer';
+const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY;
+const ELEVENLABS_VOICE_ID = process.env.ELEVENLABS_VOICE_ID;
+const ELEVENLABS_MODEL_ID = process.env.ELEVENLABS_MODEL_ID || 'eleven_turbo_v2_5';
+const ELEVENLABS_BASE_URL = process.env.ELEVENLABS_BASE_URL || 'https://api.elevenlabs.io';
+
+// 20ms of μ-law audio at 8kHz, the frame size Twilio uses
+const MULAW_FRAME_BYTES = 160;
+
+export const DEFAULT_VOICE_PROVIDER = VOICE_PROVIDER;
+export const DEFAULT_VOICE_ID = VOICE_PROVIDER === 'elevenlabs' ? ELEVENLABS_VOICE_ID || 'N/A' : OPENAI_VOICE;
+
+function createOpenAIProvider(voiceId) {
+  return {
+    name: 'openai',
+    voiceId: voiceId || OPENAI_VOICE,
+    modalities: ['text', 'audio'],
+    nativeAudio: true,
+    speak: async () => false,
+    cancel() {},
+  };
+}
+
+// Text-to-speech providers share a queue so responses are spoken in order,
+// and cancel() aborts the current stream and drops anything queued (barge-in).
+function createQueuedProvider(name, voiceId, synthesize) {
+  let queue = Promise.resolve();
+  let controller = null;
+  let generation = 0;
+
+  return {
+    name,
+    voiceId,
+    modalities: ['text'],
+    nativeAudio: false,
+    speak(text, onChunk) {
+      const myGeneration = generation;
+      const task = queue.then(async () => {
+        if (myGeneration !== generation) return false;
+        controller = new AbortController();
+        try {
+          return await synthesize(text, onChunk, controller.signal);
+        } catch (error) {
+          if (error.name !== 'AbortError') log.error('tts.failed', 'Speech synthesis failed', { provider: name, error });
+          return false;
+        } finally {
+          controller = null;
+        }
+      });
+      queue = task;
+      return task;
+    },
+    cancel() {
+      generation++;
+      if (controller) controller.abort();
+    },
+  };
+}
+
+function createElevenLabsProvider(voiceId, settings = {}) {
+  const resolvedVoiceId = voiceId || ELEVENLABS_VOICE_ID;
+
+  return createQueuedProvider('ElevenLabs', resolvedVoiceId, async (text, onChunk, signal) => {
+    const startTime = Date.now();
+    const response = await fetch(
+      `${ELEVENLABS_BASE_URL}/v1/text-to-speech/${resolvedVoiceId}/stream?output_format=ulaw_8000&optimize_streaming_latency=4`,
+      {
+        method: 'POST',
+        headers: {
+          'Accept': 'audio/basic',
+          'Content-Type': 'application/json',
+          'xi-api-key': ELEVENLABS_API_KEY,
+        },
+        body: JSON.stringify({
+          text,
+          model_id: settings.modelId || ELEVENLABS_MODEL_ID,
+          voice_settings: {
+            stability: settings.stability ?? 0.5,
+            similarity_boost: settings.similarityBoost ?? 0.8,
+            style: settings.style ?? 0.0,
+            use_speaker_boost: settings.useSpeakerBoost ?? true,
+          },
+        }),
+        signal,
+      }
+    );
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      log.error('tts.http_error', 'ElevenLabs request failed', { provider: 'elevenlabs', status: response.status, error: errorText });
+      return false;
+    }
+
+    const reader = response.body.getReader();
+    let bytesSent = 0;
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      bytesSent += value.length;
+      onChunk(Buffer.from(value).toString('base64'));
+    }
+
+    log.debug('tts.done', 'ElevenLabs audio sent', { provider: 'elevenlabs', bytes: bytesSent, durationMs: Date.now() - startTime });
+    return true;
+  });
+}
+
+function createMockProvider(voiceId) {
+  return createQueuedProvider('MockVoice', voiceId || 'mock', async (text, onChunk, signal) => {
+    const frame = Buffer.alloc(MULAW_FRAME_BYTES, 0xff).toString('base64');
+    const frames = Math.max(1, Math.ceil(text.length / 10));
+    for (let i = 0; i < frames; i++) {
+      if (signal.aborted) return false;
+      onChunk(frame);
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    return true;
+  });
+}
+
+// Pick the provider for a call: scriptData.voiceProvider / voiceId win over
+// the VOICE_PROVIDER environment default. ElevenLabs falls back to OpenAI when
+// it has no credentials or voice to use. openaiVoice (session.voice) is an
+// OpenAI voice name, so it only applies when the call ends up on OpenAI.
+export function createVoiceProvider(scriptData, openaiVoice = null) {
+  const name = (scriptData?.voiceProvider || VOICE_PROVIDER).toLowerCase();
+  const voiceId = scriptData?.voiceId || null;
+
+  if (name === 'elevenlabs') {
+    if (ELEVENLABS_API_KEY && (voiceId || ELEVENLABS_VOICE_ID)) {
+      return createElevenLabsProvider(voiceId, scriptData?.voiceSettings);
+    }
+    log.warn('provider.fallback', 'ElevenLabs requested but ELEVENLABS_API_KEY/voice not set, using OpenAI');
+    return createOpenAIProvider(openaiVoice);
+  }
+  if (name === 'mock') return createMockProvider(voiceId);
+  if (name !== 'openai') log.warn('provider.unknown', 'Unknown voice provider, using OpenAI', { provider: name });
+  return createOpenAIProvider(openaiVoice || (name === 'openai' ? voiceId : null));
+}
@@ -0,0 +1,167 @@
+// ============================================================
+// ANSWERING MACHINE / VOICEMAIL DETECTION
+// Off unless the script configures an action. Signals, in order of reliability:
+//   - Twilio AMD result passed as customParameters.answeredBy
+//   - with heuristics: true, on the first turn only:
+//     - carrier/voicemail phrases (of the call's locale) in the transcript
+//     - a long uninterrupted monologue that is also long in words
+//     - a voicemail beep (a steady single tone) in the caller audio
+//
+// scriptData.voicemail = {
+//   action: 'message' | 'hangup',   default: message if one is set, else
+//                                    nothing is detected
+//   message: 'Olá, aqui é a ...',    left after the beep
+//   heuristics: false,               also guess from phrases, monologue and beep
+//   detectionWindowSeconds: 15,      heuristics only run this long
+//   beepTimeoutSeconds: 6,           leave the message anyway after this
+// }
+// ============================================================
+
+import { decodeMulaw, SAMPLE_RATE } from './audio.js';
+import { DEFAULT_LOCALE } from './locale.js';
+
+const PT_BR_PHRASES = [
+  'deixe sua mensagem', 'deixe seu recado', 'deixe o seu recado', 'deixe a sua mensagem',
+  'grave sua mensagem', 'grave o seu recado', 'após o sinal', 'apos o sinal', 'depois do sinal',
+  'caixa postal', 'caixa de mensagens', 'fora da área de serviço', 'fora da area de servico',
+  'desligado ou fora', 'chamada está sendo encaminhada', 'correio de voz',
+];
+
+const ES_PHRASES = [
+  'deje su mensaje', 'deja tu mensaje', 'deje su recado', 'después del tono', 'despues del tono',
+  'después de la señal', 'al escuchar el tono', 'buzón de voz', 'buzon de voz', 'casilla de voz',
+  'fuera del área de servicio',
+  'fuera del area de servicio', 'apagado o fuera', 'su llamada está siendo transferida',
+];
+
+const EN_PHRASES = [
+  'leave a message', 'leave your message', 'after the tone', 'after the beep', 'at the tone',
+  'voicemail', 'voice mail', 'mailbox', 'unavailable to take your call',
+  "can't take your call", 'cannot take your call', 'please record your message',
+  'has been forwarded to an automated',
+];
+
+const VOICEMAIL_PHRASES = { 'pt-BR': PT_BR_PHRASES, es: ES_PHRASES, en: EN_PHRASES };
+
+// A first turn only counts as a machine greeting when it is both this long
+// and this wordy; people often answer with a long sentence too
+const MONOLOGUE_MS = 8000;
+const MONOLOGUE_WORDS = 25;
+
+// Beep: a near-pure tone lasting at least BEEP_MIN_FRAMES 20ms frames
+const BEEP_FREQUENCIES = Array.from({ length: 65 }, (_, i) => 400 + i * 25);
+const BEEP_MIN_FRAMES = 10;
+const BEEP_MIN_ENERGY = 1e5;
+const BEEP_TONAL_RATIO = 0.6;
+
+export function resolveVoicemailConfig(scriptData, locale = DEFAULT_LOCALE) {
+  const config = scriptData?.voicemail || {};
+  const message = typeof config.message === 'string' && config.message.trim() ? config.message.trim() : null;
+  let action = null;
+  if (config.action === 'hangup') action = 'hangup';
+  else if (message) action = 'message';
+  return {
+    locale,
+    action,
+    message,
+    heuristics: !!action && config.heuristics === true,
+    detectionWindowMs: (config.detectionWindowSeconds ?? 15) * 1000,
+    beepTimeoutMs: (config.beepTimeoutSeconds ?? 6) * 1000,
+  };
+}
+
+// Twilio AnsweredBy values: human, machine_start, machine_end_beep,
+// machine_end_silence, machine_end_other, fax, unknown
+export function isMachineAnsweredBy(answeredBy) {
+  return typeof answeredBy === 'string' && (answeredBy.startsWith('machine') || answeredBy === 'fax');
+}
+
+export function matchVoicemailPhrase(text, locale = DEFAULT_LOCALE) {
+  const lowerText = text.toLowerCase();
+  const phrases = VOICEMAIL_PHRASES[locale] || VOICEMAIL_PHRASES[DEFAULT_LOCALE];
+  return phrases.find((phrase) => lowerText.includes(phrase)) || null;
+}
+
+// Goertzel power of one frequency over a block of samples
+function goertzel(samples, frequency) {
+  const coefficient = 2 * Math.cos((2 * Math.PI * frequency) / SAMPLE_RATE);
+  let s1 = 0;
+  let s2 = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const s0 = samples[i] + coefficient * s1 - s2;
+    s2 = s1;
+    s1 = s0;
+  }
+  return s1 * s1 + s2 * s2 - coefficient * s1 * s2;
+}
+
+// Returns the dominant frequency if the frame is a loud, nearly pure tone
+function tonalFrequency(samples) {
+  let energy = 0;
+  for (let i = 0; i < samples.length; i++) energy += samples[i] * samples[i];
+  if (energy / samples.length < BEEP_MIN_ENERGY) return null;
+
+  let best = null;
+  let bestPower = 0;
+  for (const frequency of BEEP_FREQUENCIES) {
+    const power = goertzel(samples, frequency);
+    if (power > bestPower) {
+      bestPower = power;
+      best = frequency;
+    }
+  }
+  // A pure tone puts about N/2 * energy into its Goertzel bin
+  return bestPower / ((samples.length / 2) * energy) >= BEEP_TONAL_RATIO ? best : null;
+}
+
+// config is read on every call, so it can be resolved again once the script is known
+export function createVoicemailDetector(config) {
+  let speechStartMs = null;
+  let firstTurnMs = null; // length of the caller's first speech segment
+  let beepFrames = 0;
+  let beepFrequency = null;
+
+  return {
+    isWindowOpen(atMs) {
+      return config.heuristics && atMs <= config.detectionWindowMs;
+    },
+
+    // First transcript of the call: returns a reason string when it looks like a voicemail
+    checkTranscript(text, atMs) {
+      if (!this.isWindowOpen(atMs)) return null;
+      const phrase = matchVoicemailPhrase(text, config.locale);
+      if (phrase) return `phrase:${phrase}`;
+      const words = text.trim().split(/\s+/).length;
+      if (firstTurnMs >= MONOLOGUE_MS && words >= MONOLOGUE_WORDS) return 'monologue';
+      return null;
+    },
+
+    speechStarted(atMs) {
+      if (firstTurnMs == null) speechStartMs = atMs;
+    },
+
+    speechStopped(atMs) {
+      if (speechStartMs == null) return;
+      firstTurnMs = atMs - speechStartMs;
+      speechStartMs = null;
+    },
+
+    // Feed one inbound μ-law frame; returns true on the frame where a beep ends
+    audioFrame(payload) {
+      const bytes = Buffer.from(payload, 'base64');
+      const samples = new Float64Array(bytes.length);
+      for (let i = 0; i < bytes.length; i++) samples[i] = decodeMulaw(bytes[i]);
+
+      const frequency = tonalFrequency(samples);
+      if (frequency != null && (beepFrequency == null || Math.abs(frequency - beepFrequency) <= 50)) {
+        beepFrequency = frequency;
+        beepFrames++;
+        return false;
+      }
+      const wasBeep = beepFrames >= BEEP_MIN_FRAMES;
+      beepFrames = 0;
+      beepFrequency = null;
+      return wasBeep;
+    },
+  };
+}
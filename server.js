@@ -1,135 +1,181 @@
 import { WebSocketServer, WebSocket } from 'ws';
 import { createServer } from 'http';
 import { parse } from 'url';
+import {
+  resolveScriptTools, toSessionTools, executeTool, parseToolArguments, TRANSFER_TOOL,
+} from './lib/tools.js';
+import { createVoiceProvider, DEFAULT_VOICE_PROVIDER, DEFAULT_VOICE_ID } from './lib/voiceProviders.js';
+import { handleCampaignRoute, reportCallStarted, reportCallEnded, getCampaignSessionSettings } from './lib/campaigns.js';
+import { handleMonitorConnection, publishCallEvent } from './lib/monitor.js';
+import { handleSupervisorRoute } from './lib/supervisor.js';
+import { resolveTransferConfig, startWarmTransfer, cancelWarmTransfer, handleTransferRoute } from './lib/transfer.js';
+import { getHoldFrames, getReconnectFrames, mulawDurationMs, FRAME_MS } from './lib/audio.js';
+import { createRecorder, isRecordingEnabled, handleRecordingRoute } from './lib/recording.js';
+import { classifyIntent, resolveKeywordRules, POSITIVE_INTENTS } from './lib/intent.js';
+import { analyzeCall, sendCallAnalysisToBackend } from './lib/postCall.js';
+import { resolveVoicemailConfig, createVoicemailDetector, isMachineAnsweredBy } from './lib/voicemail.js';
+import { resolveCallTimers } from './lib/callTimers.js';
+import {
+  isOnDoNotCallList, addToDoNotCallList, resolveOptOutMessage, handleDoNotCallRoute,
+} from './lib/compliance.js';
+import { resolveFlow, buildInstructions, buildStageTool, ADVANCE_STAGE_TOOL } from './lib/flow.js';
+import {
+  resolveDtmfConfig, buildCollectDigitsTool, createDigitCollector, isDtmfKey, COLLECT_DIGITS_TOOL, FORWARD_DELAY_MS,
+} from './lib/dtmf.js';
+import { resolveSessionSettings, realtimeUrl, toTurnDetection, DEFAULT_REALTIME_MODEL } from './lib/sessionConfig.js';
+import { getLocale, resolveScriptLocale, detectLocale, DEFAULT_LOCALE } from './lib/locale.js';
+import { enqueueDelivery, startDeliveryWorker, flushDeliveries, handleDeliveryRoute } from './lib/delivery.js';
+import {
+  authorizeMediaStream, isScriptAllowed, isMediaStreamAuthDisabled, isMediaStreamAuthConfigured, applyCors, CLOSE_POLICY_VIOLATION,
+} from './lib/auth.js';
+import {
+  getClientIp, isRateLimited, checkGlobalCapacity, checkScriptCapacity, trackStream, startDrain, isDraining, handleCapacityRoute,
+  CLOSE_TRY_AGAIN_LATER,
+} from './lib/capacity.js';
+import { metrics, handleMetricsRoute } from './lib/metrics.js';
+import { createLogger } from './lib/logger.js';
+import { createUsage, addResponseUsage, computeCost, recordCallUsage, handleUsageRoute } from './lib/usage.js';
+import { createCallCapture, handleCaptureRoute } from './lib/capture.js';
 
 const PORT = process.env.PORT || 8080;
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const API_BASE_URL = process.env.API_BASE_URL || 'https://zenix.group';
 
-// v22: Use the latest model URL with temperature parameter
-const OPENAI_REALTIME_URL = 'wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview-2024-12-17';
+const OPENAI_RECONNECT_ATTEMPTS = parseInt(process.env.OPENAI_RECONNECT_ATTEMPTS || '3', 10);
+const OPENAI_REPLAY_MAX_ITEMS = 60;
+
+const log = createLogger('Server');
 
 if (!OPENAI_API_KEY) {
-  console.error('OPENAI_API_KEY is required');
+  log.error('config.invalid', 'OPENAI_API_KEY is required');
   process.exit(1);
 }
 
-console.log('Realtime WebSocket Server v22 starting...');
-console.log('Port:', PORT);
-console.log('API Base URL:', API_BASE_URL);
+log.info('server.starting', 'Realtime WebSocket Server v22 starting', {
+  port: PORT,
+  apiBaseUrl: API_BASE_URL,
+  voiceProvider: DEFAULT_VOICE_PROVIDER,
+  voiceId: DEFAULT_VOICE_ID,
+  model: DEFAULT_REALTIME_MODEL,
+  locale: DEFAULT_LOCALE,
+});
+if (isMediaStreamAuthDisabled()) {
+  log.warn('auth.disabled', '/media-stream is open to anyone (MEDIA_STREAM_AUTH=off)');
+} else if (!isMediaStreamAuthConfigured()) {
+  log.error('auth.unconfigured', '/media-stream rejects every stream: set TWILIO_AUTH_TOKEN or STREAM_SECRET (or MEDIA_STREAM_AUTH=off)');
+}
 
 const activeSessions = new Map();
 
-// ============================================================
-// INTEREST DETECTION KEYWORDS
-// ============================================================
-const POSITIVE_INTEREST_KEYWORDS = [
-  'agendar', 'marcar reunião', 'marcar uma reunião', 'agende', 'marque',
-  'vamos marcar', 'vamos agendar',
-  'tenho interesse', 'me interessa',
-  'quero saber mais', 'saber mais', 'mais informações', 'mais informacoes',
-  'me conte mais', 'como funciona',
-  'quero conhecer', 'quero entender',
-  'quero contratar', 'quero comprar', 'quanto custa',
-  'qual o valor', 'qual o preço', 'qual o preco',
-  'proposta', 'orçamento', 'orcamento',
-  'meu email', 'meu telefone', 'meu whatsapp',
-  'manda no whatsapp', 'envia por email',
-  'pode ligar de volta', 'me liga depois',
-  'fechado', 'vamos lá', 'vamos la', 'bora',
-  'quero sim', 'com certeza quero',
-];
-
-const NEGATIVE_KEYWORDS = [
-  'não tenho interesse', 'nao tenho interesse',
-  'não quero', 'nao quero',
-  'não preciso', 'nao preciso',
-  'não obrigado', 'nao obrigado',
-  'desculpa', 'sem interesse',
-  'tô ocupado', 'to ocupado',
-  'agora não', 'agora nao',
-  'outro momento', 'não é o momento',
-  'não me interessa', 'nao me interessa',
-];
-
-function detectInterest(text) {
-  const lowerText = text.toLowerCase().trim();
-  if (lowerText.split(/\s+/).length < 3) return { interested: false, signal: null };
-  for (const neg of NEGATIVE_KEYWORDS) {
-    if (lowerText.includes(neg)) return { interested: false, signal: null };
-  }
-  for (const keyword of POSITIVE_INTEREST_KEYWORDS) {
-    if (lowerText.includes(keyword)) {
-      return { interested: true, signal: keyword };
-    }
-  }
-  return { interested: false, signal: null };
+// One promise per media stream connection, settled once its post-call work
+// (final transcript save, call analysis) is queued; a drain waits for them
+const pendingCallWork = new Set();
+
+function trackCallWork() {
+  let done;
+  const promise = new Promise((resolve) => { done = resolve; });
+  pendingCallWork.add(promise);
+  promise.then(() => pendingCallWork.delete(promise));
+  return done;
 }
 
 // ============================================================
 // SEND TRANSCRIPTION TO ZENIX BACKEND
 // ============================================================
-async function sendTranscriptionToBackend(callSid, transcription, scriptId) {
-  try {
-    const formattedTranscription = transcription.map(t => 
-      `[${t.role === 'assistant' ? 'ZENIX' : 'CLIENTE'}] ${t.text}`
-    ).join('\n');
-    
-    const response = await fetch(`${API_BASE_URL}/api/twilio/save-transcription`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ callSid, scriptId, transcription: formattedTranscription }),
-    });
-    
-    if (response.ok) {
-      console.log(`[Transcription] Saved for call ${callSid}`);
-    } else {
-      console.error(`[Transcription] Backend returned ${response.status}`);
-    }
-  } catch (error) {
-    console.error(`[Transcription] Error:`, error.message);
-  }
+function formatTranscription(transcription, locale = DEFAULT_LOCALE) {
+  const { labels } = getLocale(locale);
+  return transcription.map(t => 
+    `[${labels[t.role] || labels.user}] ${t.text}`
+  ).join('\n');
+}
+
+// Queued for delivery; only the latest unsent save of a call is kept.
+// The final save carries the call's usage and cost.
+function sendTranscriptionToBackend(callSid, transcription, scriptId, locale = DEFAULT_LOCALE, usage = null) {
+  enqueueDelivery({
+    event: 'transcription',
+    path: '/api/twilio/save-transcription',
+    body: {
+      callSid, scriptId, locale, transcription: formatTranscription(transcription, locale),
+      ...(usage && { final: true, usage }),
+    },
+    callSid,
+    idempotencyKey: `${callSid}:transcription:${usage ? 'final' : transcription.length}`,
+    coalesceKey: `${callSid}:transcription`,
+  });
 }
 
 // ============================================================
 // SEND INTEREST NOTIFICATION TO ZENIX BACKEND
 // ============================================================
-async function sendInterestNotification(callSid, contactPhone, signal, transcription, scriptId) {
-  try {
-    const formattedTranscription = transcription.map(t => 
-      `[${t.role === 'assistant' ? 'ZENIX' : 'CLIENTE'}] ${t.text}`
-    ).join('\n');
-    
-    const response = await fetch(`${API_BASE_URL}/api/twilio/client-interest`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        callSid, contactPhone, interestSignal: signal,
-        transcription: formattedTranscription, scriptId,
-        detectedAt: new Date().toISOString(),
-      }),
-    });
-    
-    if (response.ok) {
-      console.log(`[Interest] Notification sent for call ${callSid} (signal: "${signal}")`);
-    } else {
-      console.error(`[Interest] Backend returned ${response.status}`);
-    }
-  } catch (error) {
-    console.error(`[Interest] Error:`, error.message);
-  }
+function sendInterestNotification(callSid, contactPhone, signal, transcription, scriptId, details = {}) {
+  log.child('Interest').info('interest.queued', 'Interest notification queued', { callSid, scriptId, signal });
+  enqueueDelivery({
+    event: 'interest',
+    path: '/api/twilio/client-interest',
+    body: {
+      callSid, contactPhone, interestSignal: signal,
+      transcription: formatTranscription(transcription, details.locale), scriptId,
+      locale: details.locale || DEFAULT_LOCALE,
+      intents: details.intents || [],
+      intentSource: details.source || null,
+      signals: details.signals || [],
+      detectedAt: new Date().toISOString(),
+    },
+    callSid,
+    idempotencyKey: `${callSid}:interest`,
+  });
+}
+
+// ============================================================
+// SEND INTENT SIGNAL TO ZENIX BACKEND
+// ============================================================
+function sendIntentSignal(callSid, scriptId, signal) {
+  enqueueDelivery({
+    event: 'intent',
+    path: '/api/twilio/intent-signal',
+    body: { callSid, scriptId, ...signal },
+    callSid,
+    idempotencyKey: `${callSid}:intent:${signal.turn}`,
+  });
+}
+
+// ============================================================
+// SEND OPT-OUT (DO-NOT-CALL REQUEST) TO ZENIX BACKEND
+// ============================================================
+function sendOptOut(callSid, scriptId, contactPhone, optOut) {
+  enqueueDelivery({
+    event: 'opt-out',
+    path: '/api/twilio/opt-out',
+    body: { callSid, scriptId, contactPhone, ...optOut },
+    callSid,
+    idempotencyKey: `${callSid}:opt-out`,
+  });
+}
+
+// ============================================================
+// SEND KEYPAD-COLLECTED DIGITS TO ZENIX BACKEND
+// ============================================================
+function sendCollectedDigits(callSid, scriptId, collected, index) {
+  enqueueDelivery({
+    event: 'dtmf',
+    path: '/api/twilio/dtmf',
+    body: { callSid, scriptId, ...collected },
+    callSid,
+    idempotencyKey: `${callSid}:dtmf:${index}`,
+  });
 }
 
 // ============================================================
 // FETCH SCRIPT FROM ZENIX BACKEND
 // ============================================================
-async function fetchScript(scriptId) {
+async function fetchScript(scriptId, callLog = log) {
   try {
     const response = await fetch(`${API_BASE_URL}/api/scripts/${scriptId}`);
     if (!response.ok) throw new Error(`HTTP ${response.status}`);
     return await response.json();
   } catch (error) {
-    console.error(`[Script] Failed to fetch script ${scriptId}:`, error.message);
+    callLog.child('Script').error('script.fetch_failed', 'Failed to fetch script', { scriptId, error });
     return null;
   }
 }
@@ -140,8 +186,11 @@ async function fetchScript(scriptId) {
 // ============================================================
 function handleTwilioConnection(ws, req) {
   const { query } = parse(req.url, true);
-  const sessionData = { transcription: [], startTime: new Date(), contactPhone: null };
-  console.log('[Twilio] New WebSocket connection');
+  const sessionData = {
+    transcription: [], toolCalls: [], intentSignals: [], stages: [], dtmf: { keys: [], collected: [] },
+    startTime: new Date(), contactPhone: null, transferred: false, locale: DEFAULT_LOCALE,
+    usage: createUsage(), cost: null, campaignId: null,
+  };
   
   // Connection-specific state
   let streamSid = null;
@@ -157,26 +206,107 @@ function handleTwilioConnection(ws, req) {
   let scriptData = null;
   let audioChunksSent = 0;
   let audioChunksReceived = 0;
+  let scriptTools = new Map();
+  let pendingToolCalls = 0;
+  let toolOutputsReady = false;
+  let responseActive = false;
+  let voiceProvider = createVoiceProvider(null);
+  let aiMuted = false;
+  let operatorAudioSink = null; // set while a human operator has taken over the call
+  let hangupPending = false;
+  let hangupTimer = null;
+  let sayRequested = false; // a forced sentence was requested and its response hasn't started
+  let sayResponseId = null;
+  let sayGenerated = false;
+  let afterSay = null; // runs once the forced sentence has finished playing
+  let ttsInFlight = 0;
+  let transferConfig = null;
+  let transfer = null;
+  let transferState = null; // announcing | holding | connecting | connected
+  let holdTimer = null;
+  let recorder = null;
+  let keywordRules = resolveKeywordRules(null);
+  let localeDetectionPending = false;
+  const voicemailConfig = resolveVoicemailConfig(null);
+  const voicemailDetector = createVoicemailDetector(voicemailConfig);
+  const callTimers = resolveCallTimers(null);
+  let silenceTimer = null;
+  let silencePrompts = 0; // reprompts since the caller last spoke
+  let stallTimer = null;
+  let stallRecoveries = 0;
+  let maxDurationTimer = null;
+  let dtmfConfig = resolveDtmfConfig(null);
+  let digitCollector = null; // collect_digits in progress
+  let forwardedKeys = ''; // keys waiting to be told to the model
+  let forwardTimer = null;
+  let voicemailState = null; // detected | awaiting_beep | ready | leaving
+  let voicemailTimer = null;
+  let flow = null;
+  let currentStage = null;
+  let streamStartedAt = null;
+  let callAccepted = false; // passed the script capacity check: a conversation can happen
+  let speechStoppedAt = null; // waiting for the first assistant audio after the caller spoke
+  let speechStartMs = null; // audio offset of the caller speech being transcribed
 
-  // v22: Connect to OpenAI immediately (don't wait for start event)
-  // This reduces latency by having the OpenAI connection ready
-  const openAiWs = new WebSocket(OPENAI_REALTIME_URL, {
-    headers: {
-      'Authorization': `Bearer ${OPENAI_API_KEY}`,
-      'OpenAI-Beta': 'realtime=v1',
-    },
-  });
+  let openAiWs = null;
+  let callEnded = false;
+  let reconnecting = false;
+  let reconnectAudio = false; // the reconnect clip is playing on the hold loop
+  let reconnectAttempts = 0;
+  let reconnectTimer = null;
+  let finalSaveDone = false;
+  let resolveFinalSave;
+  const finalSave = new Promise((resolve) => { resolveFinalSave = resolve; });
+  const callWorkDone = trackCallWork();
+
+  // Every line carries the call's ids once the start event has set them
+  const callLog = createLogger('Twilio', () => ({ callSid, streamSid, scriptId }));
+  const audioLog = callLog.child('Audio');
+  const openaiLog = callLog.child('OpenAI');
+  const toolsLog = callLog.child('Tools');
+  const conversationLog = callLog.child('Conversation');
+  const flowLog = callLog.child('Flow');
+  const intentLog = callLog.child('Intent');
+  const supervisorLog = callLog.child('Supervisor');
+  const voicemailLog = callLog.child('Voicemail');
+  const transferLog = callLog.child('Transfer');
+  callLog.info('ws.connected', 'New WebSocket connection');
+
+  // Per-call event log for offline replay (CALL_CAPTURE=true)
+  const capture = createCallCapture(req.url);
+  capture?.wrapTwilio(ws);
 
   // v22: Track if session is configured
   let sessionConfigured = false;
   let greetingSent = false;
   let vadEnabled = false;
+  let sessionSettings = resolveSessionSettings(null, null);
+  let connectedModel = null;
+  // Resolved once the start event's script (and campaign) settings are known
+  let resolveScriptReady;
+  const scriptReady = new Promise((resolve) => { resolveScriptReady = resolve; });
+
+  // Strings of the call's locale (it can change on the first user turn)
+  function localeText() {
+    return getLocale(sessionData.locale);
+  }
+
+  // Record a transcript line and stream it to supervisors
+  function addTranscript(role, text) {
+    const entry = { role, text, timestamp: new Date().toISOString() };
+    sessionData.transcription.push(entry);
+    publishCallEvent(streamSid, 'transcript', { callSid, ...entry });
+  }
+
+  function publishAudioStats() {
+    publishCallEvent(streamSid, 'audio.stats', { callSid, audioChunksSent, audioChunksReceived });
+  }
 
   function scheduleTranscriptionSave() {
     if (transcriptionSaveTimer) clearTimeout(transcriptionSaveTimer);
     transcriptionSaveTimer = setTimeout(() => {
       if (sessionData.transcription.length > 0) {
-        sendTranscriptionToBackend(callSid, sessionData.transcription, scriptId);
+        sendTranscriptionToBackend(callSid, sessionData.transcription, scriptId, sessionData.locale);
       }
       if (activeSessions.has(streamSid)) {
         scheduleTranscriptionSave();
@@ -196,12 +326,81 @@ function handleTwilioConnection(ws, req) {
     }
   }
 
+  // Forward one chunk of assistant audio (OpenAI delta or TTS stream) to Twilio
+  function sendAudioToTwilio(payload, itemId) {
+    if (streamSid && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({
+        event: 'media',
+        streamSid: streamSid,
+        media: { payload },
+      }));
+      recorder?.recordAgent(payload, latestMediaTimestamp);
+      audioChunksSent++;
+      sessionData.usage.agentAudioMs += mulawDurationMs(payload);
+
+      if (audioChunksSent === 1 && streamStartedAt) {
+        metrics.firstAudio.observe({}, (Date.now() - streamStartedAt) / 1000);
+      }
+      if (speechStoppedAt) {
+        metrics.responseLatency.observe({}, (Date.now() - speechStoppedAt) / 1000);
+        speechStoppedAt = null;
+      }
+      if (stallTimer) {
+        clearTimeout(stallTimer);
+        stallTimer = null;
+        stallRecoveries = 0;
+      }
+
+      // Track timing for interruption handling; truncation offsets are
+      // relative to the start of the assistant item being played
+      if (!responseStartTimestampTwilio || (itemId && itemId !== lastAssistantItem)) {
+        responseStartTimestampTwilio = latestMediaTimestamp;
+      }
+
+      if (itemId) {
+        lastAssistantItem = itemId;
+      }
+
+      sendMark();
+      
+      if (audioChunksSent === 1) {
+        audioLog.info('audio.first_chunk_sent', 'First chunk sent to Twilio');
+      }
+      if (audioChunksSent % 50 === 0) {
+        audioLog.debug('audio.chunks_sent', 'Chunks sent to Twilio', { audioChunksSent });
+        publishAudioStats();
+      }
+    } else {
+      if (audioChunksSent === 0) {
+        audioLog.warn('audio.send_failed', 'Audio received but cannot send', { wsState: ws.readyState });
+      }
+    }
+  }
+
   // Handle interruption when the caller's speech starts
   function handleSpeechStarted() {
+    publishCallEvent(streamSid, 'speech.started', { callSid });
+    speechStoppedAt = null;
+    clearSilenceTimer();
+    silencePrompts = 0;
+    if (stallTimer) clearTimeout(stallTimer);
+    stallTimer = null;
+
+    if (interruptAssistant()) metrics.bargeIns.inc();
+  }
+
+  // Stop the assistant audio that is playing: truncate the item and clear Twilio's buffer.
+  // Returns whether there was audio to interrupt.
+  function interruptAssistant() {
+    // TTS providers may still be synthesizing text that hasn't reached Twilio yet
+    if (!voiceProvider.nativeAudio) voiceProvider.cancel();
+
     if (markQueue.length > 0 && responseStartTimestampTwilio != null) {
       const elapsedTime = latestMediaTimestamp - responseStartTimestampTwilio;
+      publishCallEvent(streamSid, 'interruption', { callSid, itemId: lastAssistantItem, audioEndMs: elapsedTime });
 
-      if (lastAssistantItem) {
+      // Only audio items can be truncated; TTS responses are text items
+      if (lastAssistantItem && voiceProvider.nativeAudio) {
         openAiWs.send(JSON.stringify({
           type: 'conversation.item.truncate',
           item_id: lastAssistantItem,
@@ -214,143 +413,965 @@ function handleTwilioConnection(ws, req) {
       if (ws.readyState === WebSocket.OPEN) {
         ws.send(JSON.stringify({ event: 'clear', streamSid }));
       }
+      recorder?.truncateAgent(latestMediaTimestamp);
 
       // Reset
       markQueue = [];
       lastAssistantItem = null;
       responseStartTimestampTwilio = null;
+      return true;
     }
+    return false;
   }
 
-  // ========== OpenAI WebSocket Events ==========
-  openAiWs.on('open', async () => {
-    console.log('[OpenAI] Connected');
-    
-    // v22: If we already have the scriptId (from query params), fetch and configure now
-    scriptId = query.scriptId || null;
-    if (scriptId) {
-      scriptData = await fetchScript(scriptId);
-      if (scriptData) console.log(`[OpenAI] Script loaded: ${scriptData.name}`);
+  // Tools the server runs itself (LOCAL_TOOLS), by name
+  const localToolHandlers = {
+    [TRANSFER_TOOL]: (args) => {
+      toolsLog.info('tool.called', 'Calling local tool', { tool: TRANSFER_TOOL, local: true });
+      return startTransfer(`tool:${args.reason || 'requested'}`);
+    },
+    [ADVANCE_STAGE_TOOL]: (args) => advanceStage(args.stage, args.reason),
+    [COLLECT_DIGITS_TOOL]: (args) => collectDigits(args),
+  };
+
+  // Execute a function call from the model and return its output to the conversation
+  async function handleFunctionCall(event) {
+    const tool = scriptTools.get(event.name);
+    const args = parseToolArguments(event.arguments);
+    let result;
+
+    pendingToolCalls++;
+    if (!tool) {
+      toolsLog.error('tool.unknown', 'Unknown tool requested', { tool: event.name });
+      result = { ok: false, error: `unknown tool ${event.name}` };
+    } else if (args === null) {
+      toolsLog.error('tool.invalid_arguments', 'Invalid tool arguments', { tool: event.name, arguments: event.arguments });
+      result = { ok: false, error: 'invalid arguments' };
+    } else if (Object.hasOwn(localToolHandlers, event.name)) {
+      result = await localToolHandlers[event.name](args);
+    } else {
+      toolsLog.info('tool.called', 'Calling tool', { tool: event.name });
+      result = await executeTool(tool, args, {
+        callSid, scriptId, contactPhone: sessionData.contactPhone,
+      });
+      sessionData.toolCalls.push({
+        name: event.name, arguments: args, result, timestamp: new Date().toISOString(),
+      });
+
+      if (result.ok && tool.interestSignal && !interestNotified) {
+        interestNotified = true;
+        intentLog.info('interest.detected', 'Positive signal from tool', { tool: event.name });
+        publishCallEvent(streamSid, 'interest', { callSid, signal: `tool:${event.name}` });
+        sendInterestNotification(callSid, sessionData.contactPhone || 'unknown', `tool:${event.name}`, sessionData.transcription, scriptId, {
+          locale: sessionData.locale,
+        });
+      }
     }
-    
-    // v22: Configure session immediately
-    configureSession();
-  });
+    pendingToolCalls--;
 
-  function configureSession() {
-    const conversationRules = `
+    if (openAiWs.readyState !== WebSocket.OPEN) return;
+    openAiWs.send(JSON.stringify({
+      type: 'conversation.item.create',
+      item: {
+        type: 'function_call_output',
+        call_id: event.call_id,
+        output: JSON.stringify(result),
+      },
+    }));
+    // A started transfer speaks its own announcement
+    if (event.name === TRANSFER_TOOL && result.ok) return;
+    toolOutputsReady = true;
+    continueAfterTools();
+  }
+
+  // ========== Conversation Flow ==========
+  function enterStage(stageId, reason) {
+    currentStage = stageId;
+    const entry = { stage: stageId, reason, at: new Date().toISOString() };
+    sessionData.stages.push(entry);
+    flowLog.info('stage.entered', 'Stage entered', { stage: stageId, reason });
+    publishCallEvent(streamSid, 'stage', { callSid, ...entry });
+  }
+
+  // advance_stage tool: switch stage and swap the stage block of the instructions
+  function advanceStage(requested, reason) {
+    const stageId = String(requested);
+    if (!flow?.stages.has(stageId)) return { ok: false, error: `unknown stage ${stageId}` };
+    if (stageId === currentStage) return { ok: true, stage: stageId };
+
+    enterStage(stageId, reason || 'model');
+    if (openAiWs.readyState === WebSocket.OPEN) {
+      openAiWs.send(JSON.stringify({
+        type: 'session.update',
+        session: { instructions: buildInstructions(scriptData, flow, currentStage, sessionData.locale) },
+      }));
+    }
+    return { ok: true, stage: stageId, goal: flow.stages.get(stageId).goal };
+  }
+
+  // Score a user turn for intents, keep the timeline and act on positive interest
+  async function classifyUserTurn(text, turn) {
+    const { source, intents } = await classifyIntent(text, {
+      rules: keywordRules,
+      context: sessionData.transcription.slice(-6),
+    });
+    if (intents.length === 0) return;
+
+    const signal = { turn, source, intents, at: new Date().toISOString() };
+    sessionData.intentSignals.push(signal);
+    intentLog.info('intent.classified', 'User turn classified', {
+      turn, source, intents: intents.map((i) => `${i.category}=${i.confidence.toFixed(2)}`),
+    });
+    publishCallEvent(streamSid, 'intent', { callSid, ...signal });
+    sendIntentSignal(callSid, scriptId, signal);
+
+    const optOut = intents.find((i) => i.category === 'opt_out');
+    if (optOut) {
+      handleOptOut('speech', optOut.evidence);
+      return;
+    }
+
+    const positive = intents.find((i) => POSITIVE_INTENTS.has(i.category));
+    if (positive && !interestNotified && activeSessions.has(streamSid)) {
+      interestNotified = true;
+      const interestSignal = positive.evidence || positive.category;
+      intentLog.info('interest.detected', 'Positive signal', { category: positive.category, signal: interestSignal });
+      publishCallEvent(streamSid, 'interest', { callSid, signal: interestSignal, category: positive.category });
+      sendInterestNotification(callSid, sessionData.contactPhone || 'unknown', interestSignal, sessionData.transcription, scriptId, {
+        intents, source, signals: sessionData.intentSignals, locale: sessionData.locale,
+      });
+      if (transferConfig?.onInterest) startTransfer(`interest:${positive.category}`);
+    }
+  }
+
+  // Summary, lead fields and outcome for the CRM once the call is over
+  async function runPostCallProcessing() {
+    const analysis = await analyzeCall({
+      formattedTranscript: formatTranscription(sessionData.transcription, sessionData.locale),
+      transcription: sessionData.transcription,
+      toolCalls: sessionData.toolCalls,
+      intentSignals: sessionData.intentSignals,
+      transferred: sessionData.transferred,
+      voicemail: sessionData.voicemail,
+      endReason: sessionData.endReason,
+      contactPhone: sessionData.contactPhone,
+      locale: sessionData.locale,
+    });
+    sendCallAnalysisToBackend(callSid, scriptId, {
+      ...analysis,
+      locale: sessionData.locale,
+      contactPhone: sessionData.contactPhone,
+      durationSeconds: Math.round((Date.now() - sessionData.startTime.getTime()) / 1000),
+      intentSignals: sessionData.intentSignals,
+      stagesReached: sessionData.stages,
+      dtmf: sessionData.dtmf,
+    });
+    metrics.callsEnded.inc({ outcome: analysis.outcome });
+  }
+
+  // Token usage reported on each response.done
+  function recordUsage(usage) {
+    if (!usage) return;
+    addResponseUsage(sessionData.usage, usage);
+    metrics.tokens.inc({ direction: 'input' }, usage.input_tokens || 0);
+    metrics.tokens.inc({ direction: 'output' }, usage.output_tokens || 0);
+  }
+
+  // Duration and cost are fixed the first time the call is seen ending, so
+  // the final transcript and the usage ledger report the same numbers
+  function finishUsage() {
+    if (sessionData.usage.durationMs == null) {
+      sessionData.usage.durationMs = Date.now() - sessionData.startTime.getTime();
+      sessionData.cost = computeCost(sessionData.usage, connectedModel);
+    }
+    return { model: connectedModel, ...sessionData.usage, cost: sessionData.cost };
+  }
+
+  // Per-call usage, observed once the stream closes
+  function recordCallMetrics() {
+    const { inputTokens, outputTokens, callerAudioMs, agentAudioMs } = sessionData.usage;
+    metrics.callDuration.observe({}, (Date.now() - streamStartedAt) / 1000);
+    metrics.callTokens.observe({}, inputTokens + outputTokens);
+    metrics.callAudioSeconds.observe({ direction: 'caller' }, callerAudioMs / 1000);
+    metrics.callAudioSeconds.observe({ direction: 'agent' }, agentAudioMs / 1000);
+    metrics.audioSeconds.inc({ direction: 'caller' }, callerAudioMs / 1000);
+    metrics.audioSeconds.inc({ direction: 'agent' }, agentAudioMs / 1000);
+  }
+
+  // Ask the model to continue once every tool output is in and no response is active
+  function continueAfterTools() {
+    if (!toolOutputsReady || pendingToolCalls > 0 || responseActive) return;
+    if (openAiWs.readyState !== WebSocket.OPEN) return;
+    toolOutputsReady = false;
+    openAiWs.send(JSON.stringify({
+      type: 'response.create',
+      response: { modalities: voiceProvider.modalities },
+    }));
+  }
+
+  // ========== Supervisor Controls ==========
+  function sendToOpenAI(event) {
+    if (openAiWs.readyState !== WebSocket.OPEN) throw new Error('OpenAI connection is not open');
+    openAiWs.send(JSON.stringify(event));
+  }
+
+  // Hidden instruction: the model sees it, the caller doesn't hear it
+  function whisper(text) {
+    sendToOpenAI({
+      type: 'conversation.item.create',
+      item: { type: 'message', role: 'system', content: [{ type: 'input_text', text }] },
+    });
+    supervisorLog.info('supervisor.whisper', 'Whisper sent');
+  }
+
+  // Make the assistant say an exact sentence now, interrupting whatever it was saying
+  function say(text) {
+    if (operatorAudioSink) throw new Error('call is under human takeover');
+    if (aiMuted) throw new Error('AI is muted');
+    if (responseActive) sendToOpenAI({ type: 'response.cancel' });
+    interruptAssistant();
+    sendToOpenAI({
+      type: 'response.create',
+      response: {
+        modalities: voiceProvider.modalities,
+        instructions: localeText().notes.sayExactly(text),
+      },
+    });
+    sayRequested = true;
+    sayResponseId = null;
+    sayGenerated = false;
+    supervisorLog.info('supervisor.say', 'Forced sentence requested');
+  }
+
+  // Run afterSay once the forced sentence is fully generated and Twilio has played it
+  function checkSayPlayback() {
+    if (!afterSay || !sayGenerated || markQueue.length > 0 || ttsInFlight > 0) return;
+    const callback = afterSay;
+    afterSay = null;
+    sayGenerated = false;
+    callback();
+  }
+
+  function mute() {
+    aiMuted = true;
+    if (responseActive && openAiWs.readyState === WebSocket.OPEN) {
+      openAiWs.send(JSON.stringify({ type: 'response.cancel' }));
+    }
+    interruptAssistant();
+    supervisorLog.info('supervisor.mute', 'AI muted');
+  }
+
+  function unmute() {
+    if (operatorAudioSink) throw new Error('call is under human takeover');
+    aiMuted = false;
+    supervisorLog.info('supervisor.unmute', 'AI unmuted');
+  }
+
+  // End the call, optionally after the assistant says a goodbye sentence
+  function hangup(text) {
+    if (hangupPending) return;
+    supervisorLog.info('supervisor.hangup', 'Hangup requested');
+    finishCall(text);
+  }
+
+  function finishCall(text) {
+    hangupPending = true;
+    clearCallTimers();
+    if (!text || operatorAudioSink) {
+      endCall();
+      return;
+    }
+    aiMuted = false;
+    say(text);
+    afterSay = endCall;
+    // Don't wait forever for the goodbye to finish playing
+    hangupTimer = setTimeout(endCall, 15000);
+  }
 
-=== ESTILO DE COMUNICAÇÃO ===
+  function endCall() {
+    if (hangupTimer) clearTimeout(hangupTimer);
+    hangupTimer = null;
+    if (ws.readyState === WebSocket.OPEN) ws.close();
+  }
 
-Você é uma SDR humana, simpática e acolhedora. Sua personalidade é calorosa e genuína.
+  // ========== Silence, Stall and Duration Timers ==========
+  // Ended by the server itself: the reason becomes the call's outcome
+  function endCallFor(reason, text) {
+    if (hangupPending) return;
+    sessionData.endReason = reason;
+    callLog.info('call.ending', 'Ending call', { reason });
+    publishCallEvent(streamSid, 'call.ending', { callSid, reason });
+    addTranscript('system', localeText().transcript.callEnded(reason));
+    try {
+      finishCall(text);
+    } catch (error) {
+      callLog.error('call.goodbye_failed', 'Could not say goodbye, ending call', { error });
+      endCall();
+    }
+  }
 
-COMO VOCÊ FALA:
-- Fale com ENTUSIASMO e SIMPATIA genuína. Sorria ao falar (isso se reflete na voz).
-- Use expressões naturais brasileiras: "que legal!", "olha que bacana", "poxa, entendo", "nossa, que bom!", "com certeza!", "maravilha!"
-- Comece respostas com EMPATIA antes de ir ao ponto: "Que bom que você perguntou isso!", "Entendo perfeitamente sua preocupação", "Ótima pergunta!"
-- Chame a pessoa pelo nome quando souber. Isso cria conexão.
-- Faça pequenos comentários de rapport: "Imagino como deve ser corrido o dia a dia, né?", "Sei como é, a gente sempre quer o melhor pra empresa"
-- Use tom CONVERSACIONAL, como se estivesse falando com um conhecido. Nada de tom corporativo frio.
+  // The assistant is quiet and it's the caller's turn
+  function canWaitForCaller() {
+    return !hangupPending && !aiMuted && !operatorAudioSink && !transferState && !voicemailState && !digitCollector
+      && !responseActive && markQueue.length === 0 && ttsInFlight === 0;
+  }
 
-RITMO DA CONVERSA:
-- Responda de forma COMPLETA mas CONCISA. Não seja telegráfica nem prolixa.
-- Use no máximo 3 frases por resposta. Mas faça cada frase contar.
-- Após fazer uma pergunta, PARE e espere a resposta. Não faça duas perguntas seguidas.
-- Se o cliente responder algo curto ("sim", "não", "tá"), faça um comentário empático antes de continuar.
-- Quando o cliente fizer uma pergunta, RESPONDA com interesse genuíno antes de voltar ao script.
+  function clearSilenceTimer() {
+    if (silenceTimer) clearTimeout(silenceTimer);
+    silenceTimer = null;
+  }
 
-O QUE NÃO FAZER:
-- NÃO seja robótica ou mecânica. Você é uma PESSOA, não uma máquina.
-- NÃO repita informações que já disse.
-- NÃO invente dados que não estão no script.
-- NÃO fale rápido demais. Mantenha um ritmo agradável.
+  // Started whenever the assistant finishes speaking
+  function armSilenceTimer() {
+    clearSilenceTimer();
+    if (!callTimers.silenceMs || !canWaitForCaller()) return;
+    silenceTimer = setTimeout(handleCallerSilence, callTimers.silenceMs);
+  }
 
-OBJETIVO: Criar uma conversa tão natural que o cliente nem perceba que está falando com uma IA. Gere CONFIANÇA e SIMPATIA.
+  function handleCallerSilence() {
+    silenceTimer = null;
+    if (!vadEnabled || !canWaitForCaller()) return;
+    if (silencePrompts >= callTimers.silencePrompts) {
+      endCallFor('silence_timeout', callTimers.silenceGoodbye);
+      return;
+    }
+    silencePrompts++;
+    conversationLog.info('silence.reprompt', 'Caller is silent, reprompting', { prompt: silencePrompts, maxPrompts: callTimers.silencePrompts });
+    publishCallEvent(streamSid, 'silence', { callSid, prompt: silencePrompts });
+    try {
+      say(callTimers.silencePrompt);
+    } catch (error) {
+      conversationLog.error('silence.reprompt_failed', 'Could not reprompt', { error });
+    }
+  }
 
-=== FIM DO ESTILO ===
+  // Started when the caller finishes a turn, cleared by the first assistant audio
+  function armStallTimer() {
+    if (stallTimer) clearTimeout(stallTimer);
+    stallTimer = null;
+    if (!callTimers.stallMs || hangupPending || aiMuted || operatorAudioSink || transferState || voicemailState) return;
+    stallTimer = setTimeout(handleAssistantStall, callTimers.stallMs);
+  }
 
-`;
+  function handleAssistantStall() {
+    stallTimer = null;
+    if (hangupPending || aiMuted || operatorAudioSink || transferState || voicemailState) return;
+    // Tools have their own timeout and the model answers once they're back
+    if (pendingToolCalls > 0) {
+      armStallTimer();
+      return;
+    }
+    metrics.openaiErrors.inc({ type: 'stall' });
+    if (stallRecoveries >= callTimers.stallRetries) {
+      openaiLog.error('openai.stalled', 'Assistant stalled again, ending call', { recoveries: stallRecoveries });
+      endCallFor('ai_stalled', null);
+      return;
+    }
+    stallRecoveries++;
+    openaiLog.warn('openai.stalled', 'No assistant audio after the caller spoke, recovering', { stallMs: callTimers.stallMs, recovery: stallRecoveries });
+    publishCallEvent(streamSid, 'openai.stalled', { callSid, recovery: stallRecoveries });
+    try {
+      say(callTimers.stallPrompt);
+    } catch (error) {
+      openaiLog.error('openai.stall_recovery_failed', 'Could not send the recovery prompt', { error });
+    }
+    armStallTimer();
+  }
+
+  function armMaxDurationTimer() {
+    if (maxDurationTimer) clearTimeout(maxDurationTimer);
+    maxDurationTimer = null;
+    if (!callTimers.maxDurationMs) return;
+    const remaining = callTimers.maxDurationMs - (Date.now() - (streamStartedAt || Date.now()));
+    maxDurationTimer = setTimeout(() => {
+      maxDurationTimer = null;
+      if (transferState === 'connecting' || transferState === 'connected') return;
+      endCallFor('max_duration', callTimers.wrapUp);
+    }, Math.max(0, remaining));
+  }
+
+  function clearCallTimers() {
+    clearSilenceTimer();
+    if (stallTimer) clearTimeout(stallTimer);
+    if (maxDurationTimer) clearTimeout(maxDurationTimer);
+    stallTimer = null;
+    maxDurationTimer = null;
+  }
+
+  // Human operator replaces the AI: caller audio goes to the operator,
+  // operator audio (g711 μ-law base64) goes to Twilio
+  function takeover(sink) {
+    if (operatorAudioSink) throw new Error('call is already under human takeover');
+    mute();
+    operatorAudioSink = sink;
+    addTranscript('system', localeText().transcript.takeover);
+    supervisorLog.info('supervisor.takeover', 'Human takeover started');
+  }
+
+  function release() {
+    if (!operatorAudioSink) return;
+    operatorAudioSink = null;
+    aiMuted = false;
+    addTranscript('system', localeText().transcript.released);
+    supervisorLog.info('supervisor.release', 'Human takeover released');
+    // While OpenAI reconnects the transcript replay carries the release instead
+    if (openAiWs.readyState === WebSocket.OPEN) whisper(localeText().notes.operatorReleased);
+  }
+
+  function operatorAudio(payload) {
+    if (!operatorAudioSink) throw new Error('call is not under human takeover');
+    if (streamSid && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ event: 'media', streamSid, media: { payload } }));
+      recorder?.recordAgent(payload, latestMediaTimestamp);
+    }
+  }
+
+  // ========== Voicemail ==========
+  // beepDone: the greeting/beep is already over, the message can start now
+  function handleVoicemailDetected(reason, beepDone = false) {
+    if (voicemailState || !voicemailConfig.action) return;
+    voicemailState = 'detected';
+    sessionData.voicemail = { reason, action: voicemailConfig.action, detectedAt: new Date().toISOString() };
+    voicemailLog.info('voicemail.detected', 'Voicemail detected', { reason, action: voicemailConfig.action });
+    publishCallEvent(streamSid, 'voicemail', { callSid, reason, action: voicemailConfig.action });
+    addTranscript('system', localeText().transcript.voicemail(reason));
+
+    mute();
+    // Stop VAD from answering the machine or cutting our message on the beep
+    if (openAiWs.readyState === WebSocket.OPEN) {
+      openAiWs.send(JSON.stringify({ type: 'session.update', session: { turn_detection: null } }));
+    }
+
+    if (voicemailConfig.action === 'hangup') {
+      endCall();
+      return;
+    }
+    if (beepDone) {
+      leaveVoicemail();
+      return;
+    }
+    voicemailState = 'awaiting_beep';
+    voicemailTimer = setTimeout(leaveVoicemail, voicemailConfig.beepTimeoutMs);
+  }
+
+  function leaveVoicemail() {
+    if (voicemailState === 'leaving') return;
+    if (voicemailTimer) clearTimeout(voicemailTimer);
+    // Session not ready yet: the first session.updated picks it up
+    if (!sessionConfigured || openAiWs.readyState !== WebSocket.OPEN) {
+      voicemailState = 'ready';
+      return;
+    }
+    voicemailState = 'leaving';
+    voicemailLog.info('voicemail.leaving', 'Leaving message');
+    aiMuted = false;
+    try {
+      say(voicemailConfig.message);
+      afterSay = endCall;
+      hangupTimer = setTimeout(endCall, 30000);
+    } catch (error) {
+      voicemailLog.error('voicemail.failed', 'Could not leave message', { error });
+      endCall();
+    }
+  }
+
+  // ========== DTMF ==========
+  function handleDtmf(digit) {
+    if (!isDtmfKey(digit)) return;
+    const entry = { digit, at: new Date().toISOString(), handledAs: 'ignored' };
+    sessionData.dtmf.keys.push(entry);
+    // The caller is there, even if not talking
+    clearSilenceTimer();
+    silencePrompts = 0;
+
+    const option = dtmfConfig.menu.get(digit);
+    if (digitCollector) entry.handledAs = 'collect';
+    else if (!hangupPending && option) entry.handledAs = 'menu';
+    else if (!hangupPending && dtmfConfig.forwardToModel) entry.handledAs = 'model';
+    conversationLog.info('dtmf.key', 'Key pressed', { digits: digit, handledAs: entry.handledAs });
+    publishCallEvent(streamSid, 'dtmf', { callSid, digit, handledAs: entry.handledAs });
+
+    if (entry.handledAs === 'collect') digitCollector.press(digit);
+    else if (entry.handledAs === 'menu') runMenuOption(digit, option);
+    else if (entry.handledAs === 'model') forwardKey(digit);
+  }
+
+  function runMenuOption(digit, option) {
+    addTranscript('system', localeText().transcript.menuKey(digit, option.action));
+    try {
+      if (option.action === 'transfer') {
+        const result = startTransfer(`dtmf:${digit}`);
+        if (!result.ok) conversationLog.warn('dtmf.transfer_failed', 'Menu transfer not started', { error: result.error });
+      } else if (option.action === 'hangup') {
+        finishCall(option.message || null);
+      } else if (option.action === 'say') {
+        say(option.text);
+      } else if (option.action === 'instruct') {
+        respondTo(option.text);
+      } else if (option.action === 'opt_out') {
+        handleOptOut('dtmf', `key:${digit}`);
+      }
+    } catch (error) {
+      conversationLog.error('dtmf.menu_failed', 'Could not run menu option', { key: digit, action: option.action, error });
+    }
+  }
+
+  // Tell the model what the caller did and have it answer now
+  function respondTo(text) {
+    if (responseActive && !aiMuted) sendToOpenAI({ type: 'response.cancel' });
+    if (!aiMuted) interruptAssistant();
+    sendToOpenAI({
+      type: 'conversation.item.create',
+      item: { type: 'message', role: 'system', content: [{ type: 'input_text', text }] },
+    });
+    if (!aiMuted) sendToOpenAI({ type: 'response.create', response: { modalities: voiceProvider.modalities } });
+  }
+
+  // Keys pressed in a row reach the model as one message
+  function forwardKey(digit) {
+    forwardedKeys += digit;
+    if (forwardTimer) clearTimeout(forwardTimer);
+    forwardTimer = setTimeout(() => {
+      const keys = forwardedKeys;
+      forwardedKeys = '';
+      forwardTimer = null;
+      addTranscript('system', localeText().transcript.keysPressed(keys));
+      try {
+        respondTo(localeText().notes.keysPressed(keys.split('').join(' ')));
+      } catch (error) {
+        conversationLog.error('dtmf.forward_failed', 'Could not forward keys to the model', { error });
+      }
+    }, FORWARD_DELAY_MS);
+  }
+
+  // collect_digits: resolves once the caller has finished typing
+  function collectDigits(args) {
+    if (digitCollector) return { ok: false, error: 'already collecting digits' };
+    toolsLog.info('tool.called', 'Collecting digits from the keypad', { tool: COLLECT_DIGITS_TOOL, local: true });
+    return new Promise((resolve) => {
+      digitCollector = createDigitCollector({ ...dtmfConfig.collect, ...args }, (result) => {
+        digitCollector = null;
+        const collected = { ...result, at: new Date().toISOString() };
+        sessionData.dtmf.collected.push(collected);
+        conversationLog.info('dtmf.collected', 'Keypad input collected', {
+          name: result.name, ok: result.ok, endedBy: result.endedBy, digits: result.digits,
+        });
+        publishCallEvent(streamSid, 'dtmf.collected', { callSid, name: result.name, ok: result.ok, endedBy: result.endedBy });
+        if (result.digits) addTranscript('system', localeText().transcript.digitsCollected(result.name, result.digits));
+        if (result.ok) sendCollectedDigits(callSid, scriptId, collected, sessionData.dtmf.collected.length);
+        resolve(result);
+      });
+    });
+  }
+
+  // ========== Opt-out ==========
+  // The caller asked not to be called again: list the number, confirm and hang up
+  function handleOptOut(source, evidence) {
+    if (sessionData.optOut) return;
+    sessionData.optOut = { source, evidence: evidence || null, at: new Date().toISOString() };
+    conversationLog.info('opt_out.requested', 'Caller asked not to be called again', { source, contactPhone: sessionData.contactPhone });
+    publishCallEvent(streamSid, 'opt_out', { callSid, source });
+    addTranscript('system', localeText().transcript.optedOut);
+
+    if (sessionData.contactPhone) {
+      addToDoNotCallList(sessionData.contactPhone, { source, callSid, scriptId, reason: evidence || null });
+    } else {
+      conversationLog.warn('opt_out.no_phone', 'Opt-out without a known phone number, not listed');
+    }
+    sendOptOut(callSid, scriptId, sessionData.contactPhone, sessionData.optOut);
+    stopHoldAudio();
+    endCallFor('opted_out', resolveOptOutMessage(scriptData, sessionData.locale));
+  }
+
+  // ========== Warm Transfer ==========
+
+  function startHoldAudio(frames = getHoldFrames()) {
+    if (holdTimer) return;
+    let index = 0;
+    holdTimer = setInterval(() => {
+      if (!streamSid || ws.readyState !== WebSocket.OPEN) return;
+      ws.send(JSON.stringify({ event: 'media', streamSid, media: { payload: frames[index] } }));
+      recorder?.recordAgent(frames[index], latestMediaTimestamp);
+      index = (index + 1) % frames.length;
+    }, FRAME_MS);
+  }
+
+  function stopHoldAudio() {
+    if (!holdTimer) return;
+    clearInterval(holdTimer);
+    holdTimer = null;
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ event: 'clear', streamSid }));
+    recorder?.truncateAgent(latestMediaTimestamp);
+  }
+
+  // Announce the transfer, hold the caller and dial agents from the routing table
+  function startTransfer(reason) {
+    if (!transferConfig) return { ok: false, error: 'transfer not configured for this script' };
+    if (transferState) return { ok: false, error: 'transfer already in progress' };
+    if (operatorAudioSink) return { ok: false, error: 'call is under human takeover' };
+
+    transferState = 'announcing';
+    transferLog.info('transfer.started', 'Starting warm transfer', { reason });
+    publishCallEvent(streamSid, 'transfer.started', { callSid, reason });
+    addTranscript('system', localeText().transcript.transferStarted);
+
+    transfer = startWarmTransfer({
+      callSid, scriptId, reason,
+      contactPhone: sessionData.contactPhone,
+      config: transferConfig,
+      transcript: formatTranscription(sessionData.transcription, sessionData.locale),
+      // Marked before the redirect: the stream can close before it returns
+      onConnecting: (agent) => {
+        transferState = 'connecting';
+        sessionData.transferred = true;
+        addTranscript('system', localeText().transcript.transferred(agent.name));
+      },
+      onConnected: (agent) => {
+        transferState = 'connected';
+        stopHoldAudio();
+        publishCallEvent(streamSid, 'transfer.connected', { callSid, agent: agent.name || null });
+      },
+      onFailed: (error) => {
+        sessionData.transferred = false;
+        transferLog.warn('transfer.failed', 'Transfer failed, AI resuming', { error });
+        publishCallEvent(streamSid, 'transfer.failed', { callSid, error });
+        resumeAfterTransfer();
+      },
+    });
+
+    const hold = () => {
+      if (transferState !== 'announcing') return;
+      transferState = 'holding';
+      mute();
+      startHoldAudio();
+    };
+    try {
+      say(transferConfig.announcement);
+      afterSay = hold;
+    } catch (error) {
+      hold();
+    }
+    return { ok: true, status: 'transferring' };
+  }
+
+  function resumeAfterTransfer() {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    stopHoldAudio();
+    transferState = null;
+    transfer = null;
+    afterSay = null;
+    aiMuted = false;
+    addTranscript('system', localeText().transcript.transferFailed);
+    try {
+      whisper(transferConfig.callbackMessage);
+      sendToOpenAI({ type: 'response.create', response: { modalities: voiceProvider.modalities } });
+    } catch (error) {
+      transferLog.error('transfer.resume_failed', 'Could not resume conversation', { error });
+    }
+  }
+
+  // ========== OpenAI Connection ==========
+  // v22: Connect to OpenAI immediately (don't wait for start event)
+  // This reduces latency by having the OpenAI connection ready
+  function connectOpenAI() {
+    connectedModel = sessionSettings.model;
+    const socket = new WebSocket(realtimeUrl(connectedModel), {
+      headers: {
+        'Authorization': `Bearer ${OPENAI_API_KEY}`,
+        'OpenAI-Beta': 'realtime=v1',
+      },
+    });
+    openAiWs = socket;
+    capture?.wrapOpenAI(socket);
+    const session = activeSessions.get(streamSid);
+    if (session) session.openaiWs = socket;
+
+    socket.on('open', handleOpenAIOpen);
+    socket.on('message', handleOpenAIMessage);
+    socket.on('error', (error) => {
+      openaiLog.error('openai.ws_error', 'WebSocket error', { error });
+    });
+    socket.on('close', (code) => {
+      if (socket === openAiWs) handleOpenAIClose(code);
+    });
+  }
+
+  function closeOpenAI() {
+    callEnded = true;
+    if (reconnectTimer) clearTimeout(reconnectTimer);
+    if (openAiWs.readyState === WebSocket.OPEN || openAiWs.readyState === WebSocket.CONNECTING) {
+      openAiWs.close();
+    } else if (openAiWs.readyState === WebSocket.CLOSED) {
+      // e.g. waiting to reconnect: no close event will come
+      saveFinalTranscription();
+      capture?.closed('openai');
+    }
+  }
+
+  // Unexpected close while the caller is still on the line: open a new session
+  function scheduleReconnect() {
+    reconnectAttempts++;
+    reconnecting = true;
+    vadEnabled = false;
+    responseActive = false;
+    const delay = 500 * 2 ** (reconnectAttempts - 1);
+    openaiLog.warn('openai.reconnecting', 'Reconnecting', { delayMs: delay, attempt: reconnectAttempts, maxAttempts: OPENAI_RECONNECT_ATTEMPTS });
+    publishCallEvent(streamSid, 'openai.reconnecting', { callSid, attempt: reconnectAttempts });
+
+    // TTS providers can still speak while OpenAI is down; OpenAI's own voice
+    // can't, so the caller hears a recorded clip until the session is back
+    if (reconnectAttempts === 1 && !aiMuted) {
+      if (voiceProvider.nativeAudio) {
+        startHoldAudio(getReconnectFrames());
+        reconnectAudio = true;
+      } else {
+        voiceProvider.speak(scriptData?.reconnectFiller || localeText().spoken.reconnectFiller, (payload) => sendAudioToTwilio(payload, null));
+      }
+    }
+    reconnectTimer = setTimeout(connectOpenAI, delay);
+  }
+
+  // Restore the conversation so far as items in the new session
+  function replayConversation() {
+    const items = sessionData.transcription.slice(-OPENAI_REPLAY_MAX_ITEMS);
+    for (const entry of items) {
+      const item = entry.role === 'assistant'
+        ? { type: 'message', role: 'assistant', content: [{ type: 'text', text: entry.text }] }
+        : { type: 'message', role: entry.role === 'system' ? 'system' : 'user', content: [{ type: 'input_text', text: entry.text }] };
+      openAiWs.send(JSON.stringify({ type: 'conversation.item.create', item }));
+    }
+    openaiLog.info('openai.replayed', 'Replayed conversation items', { items: items.length });
+  }
+
+  function enableVad(delayMs) {
+    setTimeout(() => {
+      if (openAiWs.readyState === WebSocket.OPEN) {
+        openAiWs.send(JSON.stringify({
+          type: 'session.update',
+          session: {
+            turn_detection: toTurnDetection(sessionSettings.turnDetection),
+          },
+        }));
+      }
+    }, delayMs);
+  }
+
+  // ========== OpenAI WebSocket Events ==========
+  async function handleOpenAIOpen() {
+    openaiLog.info('openai.connected', 'Connected', { model: connectedModel });
     
-    const userPrompt = scriptData?.systemPrompt || 'Você é uma assistente prestativa e simpática que fala português brasileiro com naturalidade.';
-    const fullInstructions = `${userPrompt}\n\n${conversationRules}`;
+    if (reconnecting) {
+      configureSession();
+      return;
+    }
+    
+    // The connection is opened early; the session waits for the call's script
+    await scriptReady;
+    if (callEnded) return;
     
-    console.log('[OpenAI] Sending session.update');
+    // The model is part of the URL, so a script using another model needs a new connection
+    if (sessionSettings.model !== connectedModel) {
+      openaiLog.info('openai.model_switch', 'Switching model', { model: sessionSettings.model });
+      const previous = openAiWs;
+      connectOpenAI();
+      previous.close();
+      return;
+    }
     
+    configureSession();
+  }
+
+  // Fetch the call's script and campaign settings, then let the session be configured
+  async function loadCallScript(id, campaignId) {
+    sessionData.campaignId = campaignId || null;
+    if (id) {
+      scriptData = await fetchScript(id, callLog);
+      if (scriptData) callLog.info('script.loaded', 'Script loaded', { scriptName: scriptData.name });
+    }
+    capture?.backend({ type: 'script', scriptId: id || null, script: scriptData });
+    capture?.backend({ type: 'campaign', campaignId: sessionData.campaignId, session: getCampaignSessionSettings(campaignId) });
+    const capacityError = checkScriptCapacity(activeSessions, streamSid, scriptId, scriptData);
+    if (capacityError) {
+      callLog.warn('stream.rejected', 'Rejected stream', { reason: capacityError });
+      ws.close(CLOSE_TRY_AGAIN_LATER, capacityError);
+      return;
+    }
+    callAccepted = true;
+    sessionSettings = resolveSessionSettings(scriptData, getCampaignSessionSettings(campaignId));
+    sessionData.locale = resolveScriptLocale(scriptData);
+    localeDetectionPending = scriptData?.detectLocale === true;
+    Object.assign(voicemailConfig, resolveVoicemailConfig(scriptData, sessionData.locale));
+    Object.assign(callTimers, resolveCallTimers(scriptData, sessionData.locale));
+    armMaxDurationTimer();
+    
+    if (isRecordingEnabled(scriptData)) {
+      recorder = createRecorder();
+      callLog.info('recording.started', 'Recording call');
+    }
+    
+    // Twilio AMD result (machine_end_* means the greeting is already over)
+    if (voicemailConfig.action && isMachineAnsweredBy(sessionData.answeredBy)) {
+      handleVoicemailDetected(`answered_by:${sessionData.answeredBy}`, sessionData.answeredBy.startsWith('machine_end'));
+    }
+    resolveScriptReady();
+  }
+
+  // No language hint while the caller's language is still to be detected
+  function transcriptionSettings() {
+    if (localeDetectionPending) return { model: 'whisper-1' };
+    return { model: 'whisper-1', language: localeText().language };
+  }
+
+  // First user turn: switch the call to the caller's language if it differs
+  function applyDetectedLocale(text) {
+    localeDetectionPending = false;
+    const detected = detectLocale(text);
+    const switched = Boolean(detected && detected !== sessionData.locale);
+    if (switched) {
+      conversationLog.info('locale.switched', 'Caller speaks another language, switching', { fromLocale: sessionData.locale, toLocale: detected });
+      publishCallEvent(streamSid, 'locale', { callSid, from: sessionData.locale, to: detected });
+      sessionData.locale = detected;
+      keywordRules = resolveKeywordRules(scriptData, detected);
+      Object.assign(voicemailConfig, resolveVoicemailConfig(scriptData, detected));
+      Object.assign(callTimers, resolveCallTimers(scriptData, detected));
+      if (transferConfig) transferConfig = resolveTransferConfig(scriptData, detected);
+    }
+    if (openAiWs.readyState !== WebSocket.OPEN) return;
     openAiWs.send(JSON.stringify({
       type: 'session.update',
       session: {
-        modalities: ['text', 'audio'],
+        instructions: buildInstructions(scriptData, flow, currentStage, sessionData.locale),
+        input_audio_transcription: transcriptionSettings(),
+        ...(switched && { tools: resolveSessionTools() }), // described in the new locale
+      },
+    }));
+  }
+
+  // Script and server tools for the session, described in the call's locale
+  function resolveSessionTools() {
+    scriptTools = resolveScriptTools(scriptData, [
+      ...(transferConfig?.allowToolCall ? [TRANSFER_TOOL] : []),
+      ...(flow ? [buildStageTool(flow)] : []),
+      ...(dtmfConfig.collect ? [buildCollectDigitsTool()] : []),
+    ], sessionData.locale);
+    return toSessionTools(scriptTools);
+  }
+
+  function configureSession() {
+    flow = resolveFlow(scriptData);
+    if (flow && !flow.stages.has(currentStage)) enterStage(flow.initialStage, 'start');
+    const fullInstructions = buildInstructions(scriptData, flow, currentStage, sessionData.locale);
+    keywordRules = resolveKeywordRules(scriptData, sessionData.locale);
+    transferConfig = resolveTransferConfig(scriptData, sessionData.locale);
+    dtmfConfig = resolveDtmfConfig(scriptData);
+    const tools = resolveSessionTools();
+    // Same script after a reconnect: keep the provider, it may still be speaking the filler
+    if (!reconnecting) {
+      voiceProvider.cancel();
+      voiceProvider = createVoiceProvider(scriptData, sessionSettings.voice);
+    }
+    
+    openaiLog.info('session.configuring', 'Sending session.update', {
+      model: connectedModel, voiceProvider: voiceProvider.name, voiceId: voiceProvider.voiceId, tools: tools.length,
+    });
+    
+    openAiWs.send(JSON.stringify({
+      type: 'session.update',
+      session: {
+        modalities: voiceProvider.modalities,
         instructions: fullInstructions,
-        voice: 'shimmer',
+        voice: voiceProvider.nativeAudio ? voiceProvider.voiceId : undefined,
         input_audio_format: 'g711_ulaw',
         output_audio_format: 'g711_ulaw',
-        input_audio_transcription: { model: 'whisper-1' },
+        input_audio_transcription: transcriptionSettings(),
         turn_detection: null, // Disabled initially, enabled after greeting
-        temperature: 0.75,
-        max_response_output_tokens: 200,
+        temperature: sessionSettings.temperature,
+        max_response_output_tokens: sessionSettings.maxResponseOutputTokens,
+        tools,
+        tool_choice: tools.length > 0 ? 'auto' : 'none',
       },
     }));
   }
 
-  openAiWs.on('message', (data) => {
+  function handleOpenAIMessage(data) {
     try {
       const response = JSON.parse(data.toString());
 
       // ========== SESSION UPDATED ==========
       if (response.type === 'session.updated') {
-        if (!sessionConfigured) {
-          sessionConfigured = true;
-          console.log('[OpenAI] Session configured');
-          
-          // v22: Send greeting immediately
-          if (!greetingSent) {
-            greetingSent = true;
-            console.log('[OpenAI] Requesting greeting response');
+        if (reconnectAudio) {
+          reconnectAudio = false;
+          // A menu transfer may have put the caller on hold meanwhile
+          if (transferState !== 'holding') stopHoldAudio();
+        }
+        if (reconnecting && greetingSent) {
+          // New session after a drop: restore context and continue without a new greeting
+          reconnecting = false;
+          reconnectAttempts = 0;
+          openaiLog.info('session.restored', 'Session restored after reconnect');
+          publishCallEvent(streamSid, 'openai.reconnected', { callSid });
+          replayConversation();
+          enableVad(0);
+          if (!aiMuted) {
+            // A system item keeps the session instructions (script, persona, language) in force
+            openAiWs.send(JSON.stringify({
+              type: 'conversation.item.create',
+              item: { type: 'message', role: 'system', content: [{ type: 'input_text', text: localeText().notes.reconnect }] },
+            }));
             openAiWs.send(JSON.stringify({
               type: 'response.create',
-              response: { modalities: ['text', 'audio'] },
+              response: { modalities: voiceProvider.modalities },
             }));
           }
-        } else if (!vadEnabled) {
+        } else if (!sessionConfigured) {
+          reconnecting = false;
+          sessionConfigured = true;
+          openaiLog.info('session.configured', 'Session configured');
+          
+          if (voicemailState === 'ready') leaveVoicemail();
+          
+          // v22: Send greeting immediately (never to an answering machine)
+          if (!greetingSent && !voicemailState) {
+            greetingSent = true;
+            if (sessionSettings.greetingMode === 'wait_for_caller') {
+              openaiLog.info('greeting.waiting', 'Waiting for the caller to speak first');
+              enableVad(0);
+            } else {
+              openaiLog.info('greeting.requested', 'Requesting greeting response');
+              openAiWs.send(JSON.stringify({
+                type: 'response.create',
+                response: { modalities: voiceProvider.modalities },
+              }));
+            }
+          }
+        } else if (!vadEnabled && !voicemailState) {
           // This is the VAD enable confirmation
           vadEnabled = true;
-          console.log('[OpenAI] VAD enabled - conversation active');
+          openaiLog.info('vad.enabled', 'VAD enabled, conversation active');
+          armSilenceTimer();
         }
         return;
       }
 
       // ========== AUDIO DELTA: Forward to Twilio ==========
       // v22: Handle BOTH old and new event names for compatibility
-      if ((response.type === 'response.audio.delta' || response.type === 'response.output_audio.delta') && response.delta) {
-        if (streamSid && ws.readyState === WebSocket.OPEN) {
-          const audioDelta = {
-            event: 'media',
-            streamSid: streamSid,
-            media: { payload: response.delta },
-          };
-          ws.send(JSON.stringify(audioDelta));
-          audioChunksSent++;
-
-          // Track timing for interruption handling
-          if (!responseStartTimestampTwilio) {
-            responseStartTimestampTwilio = latestMediaTimestamp;
-          }
-
-          if (response.item_id) {
-            lastAssistantItem = response.item_id;
-          }
+      if ((response.type === 'response.audio.delta' || response.type === 'response.output_audio.delta') && response.delta && !aiMuted) {
+        sendAudioToTwilio(response.delta, response.item_id);
+      }
 
-          sendMark();
-          
-          if (audioChunksSent === 1) {
-            console.log(`[Audio] First chunk sent to Twilio (streamSid: ${streamSid})`);
-          }
-          if (audioChunksSent % 50 === 0) {
-            console.log(`[Audio] ${audioChunksSent} chunks sent to Twilio`);
-          }
-        } else {
-          if (audioChunksSent === 0) {
-            console.log(`[Audio] WARNING: Audio received but cannot send - streamSid: ${streamSid}, wsState: ${ws.readyState}`);
+      // ========== TEXT DONE: Speak through TTS provider ==========
+      if ((response.type === 'response.text.done' || response.type === 'response.output_text.done') && !voiceProvider.nativeAudio) {
+        const assistantText = (response.text || '').trim();
+        if (assistantText) {
+          conversationLog.info('assistant.message', 'Assistant turn', { text: assistantText });
+          addTranscript('assistant', assistantText);
+          if (!aiMuted) {
+            ttsInFlight++;
+            voiceProvider.speak(assistantText, (payload) => sendAudioToTwilio(payload, response.item_id))
+              .finally(() => {
+                ttsInFlight--;
+                checkSayPlayback();
+              });
           }
         }
       }
@@ -359,100 +1380,131 @@ OBJETIVO: Criar uma conversa tão natural que o cliente nem perceba que está fa
       if (response.type === 'response.audio_transcript.done' || response.type === 'response.output_audio_transcript.done') {
         const assistantText = response.transcript || '';
         if (assistantText.trim()) {
-          console.log(`[Assistant] "${assistantText}"`);
-          sessionData.transcription.push({ role: 'assistant', text: assistantText, timestamp: new Date().toISOString() });
+          conversationLog.info('assistant.message', 'Assistant turn', { text: assistantText });
+          addTranscript('assistant', assistantText);
         }
       }
 
+      // ========== RESPONSE CREATED ==========
+      if (response.type === 'response.created') {
+        responseActive = true;
+        clearSilenceTimer();
+        if (sayRequested) {
+          sayRequested = false;
+          sayResponseId = response.response?.id || null;
+        }
+        if (aiMuted) openAiWs.send(JSON.stringify({ type: 'response.cancel' }));
+      }
+
+      // ========== FUNCTION CALL ==========
+      if (response.type === 'response.function_call_arguments.done') {
+        handleFunctionCall(response);
+      }
+
       // ========== RESPONSE DONE ==========
       if (response.type === 'response.done') {
-        console.log(`[OpenAI] Response done (audioChunksSent: ${audioChunksSent})`);
+        openaiLog.debug('response.done', 'Response done', { audioChunksSent, usage: response.response?.usage });
+        recordUsage(response.response?.usage);
+        responseActive = false;
+        continueAfterTools();
+        // A response without audio (or already played) leaves the turn to the caller
+        if (markQueue.length === 0) armSilenceTimer();
+        if (sayResponseId && response.response?.id === sayResponseId) {
+          sayResponseId = null;
+          sayGenerated = true;
+          checkSayPlayback();
+        }
         
         // Enable VAD after greeting
-        if (!vadEnabled) {
-          console.log('[OpenAI] Enabling VAD after greeting (1.5s delay)');
-          setTimeout(() => {
-            if (openAiWs.readyState === WebSocket.OPEN) {
-              openAiWs.send(JSON.stringify({
-                type: 'session.update',
-                session: {
-                  turn_detection: {
-                    type: 'server_vad',
-                    threshold: 0.55,
-                    prefix_padding_ms: 400,
-                    silence_duration_ms: 900,
-                  },
-                },
-              }));
-            }
-          }, 1500);
+        if (!vadEnabled && !voicemailState) {
+          openaiLog.info('vad.scheduled', 'Enabling VAD after greeting', { delayMs: sessionSettings.vadDelayMs });
+          enableVad(sessionSettings.vadDelayMs);
         }
       }
 
       // ========== USER SPEECH STARTED ==========
       if (response.type === 'input_audio_buffer.speech_started') {
-        console.log('[User] Speaking...');
+        conversationLog.debug('user.speech_started', 'User speaking');
+        speechStartMs = response.audio_start_ms ?? null;
+        voicemailDetector.speechStarted(latestMediaTimestamp);
         handleSpeechStarted();
       }
 
+      // ========== USER SPEECH STOPPED ==========
+      if (response.type === 'input_audio_buffer.speech_stopped') {
+        speechStoppedAt = Date.now();
+        // Whisper bills the speech segments it transcribes
+        if (speechStartMs != null && response.audio_end_ms != null) {
+          sessionData.usage.transcriptionMs += Math.max(0, response.audio_end_ms - speechStartMs);
+        }
+        speechStartMs = null;
+        voicemailDetector.speechStopped(latestMediaTimestamp);
+        armStallTimer();
+      }
+
       // ========== USER TRANSCRIPTION ==========
       if (response.type === 'conversation.item.input_audio_transcription.completed') {
         const userText = response.transcript || '';
         if (userText.trim()) {
           userMessageCount++;
-          console.log(`[User] [${userMessageCount}]: "${userText}"`);
-          sessionData.transcription.push({ role: 'user', text: userText, timestamp: new Date().toISOString() });
-          
-          if (!interestNotified && userMessageCount >= 2) {
-            const { interested, signal } = detectInterest(userText);
-            if (interested) {
-              interestNotified = true;
-              console.log(`[Interest] Positive signal: "${signal}"`);
-              sendInterestNotification(callSid, sessionData.contactPhone || 'unknown', signal, sessionData.transcription, scriptId);
-            }
-          }
+          conversationLog.info('user.message', 'User turn', { turn: userMessageCount, text: userText });
+          addTranscript('user', userText);
+          if (localeDetectionPending) applyDetectedLocale(userText);
+          const voicemailReason = userMessageCount === 1 ? voicemailDetector.checkTranscript(userText, latestMediaTimestamp) : null;
+          if (voicemailReason) handleVoicemailDetected(voicemailReason);
+          if (!voicemailState) classifyUserTurn(userText, userMessageCount);
         }
       }
 
       // ========== ERROR ==========
       if (response.type === 'error') {
-        console.error(`[OpenAI] Error:`, JSON.stringify(response.error));
+        openaiLog.error('openai.error', 'Realtime API error', {
+          errorType: response.error?.type, errorCode: response.error?.code, error: response.error?.message,
+        });
+        metrics.openaiErrors.inc({ type: response.error?.type || 'unknown' });
         
         // If error during greeting, try to enable VAD anyway
-        if (!vadEnabled) {
-          console.log('[OpenAI] Error during greeting, enabling VAD anyway');
-          setTimeout(() => {
-            if (openAiWs.readyState === WebSocket.OPEN) {
-              openAiWs.send(JSON.stringify({
-                type: 'session.update',
-                session: {
-                  turn_detection: { type: 'server_vad', threshold: 0.55, prefix_padding_ms: 400, silence_duration_ms: 900 },
-                },
-              }));
-            }
-          }, 1000);
+        if (!vadEnabled && !voicemailState) {
+          openaiLog.warn('vad.forced', 'Error during greeting, enabling VAD anyway');
+          enableVad(sessionSettings.vadDelayMs);
         }
       }
     } catch (error) {
-      console.error('[OpenAI] Parse error:', error.message);
+      openaiLog.error('openai.parse_error', 'Could not handle Realtime event', { error });
     }
-  });
+  }
 
-  openAiWs.on('error', (error) => {
-    console.error('[OpenAI] WebSocket error:', error.message);
-  });
+  function handleOpenAIClose(code) {
+    openaiLog.info('openai.closed', 'Connection closed', { code });
+    if (!callEnded && ws.readyState === WebSocket.OPEN) {
+      metrics.openaiErrors.inc({ type: 'connection_closed' });
+      if (reconnectAttempts < OPENAI_RECONNECT_ATTEMPTS) {
+        scheduleReconnect();
+        return;
+      }
+      openaiLog.error('openai.reconnect_exhausted', 'Reconnect attempts exhausted, ending call');
+      endCall();
+    }
+    saveFinalTranscription();
+    capture?.closed('openai', code);
+  }
 
-  openAiWs.on('close', (code) => {
-    console.log(`[OpenAI] Connection closed (code: ${code})`);
+  function saveFinalTranscription() {
+    if (finalSaveDone) return;
+    finalSaveDone = true;
     if (transcriptionSaveTimer) clearTimeout(transcriptionSaveTimer);
     if (sessionData.transcription.length > 0) {
-      console.log(`[Transcription] Final save for call ${callSid} (${sessionData.transcription.length} messages)`);
-      sendTranscriptionToBackend(callSid, sessionData.transcription, scriptId);
+      callLog.info('transcription.final_save', 'Final transcription save', { messages: sessionData.transcription.length });
+      sendTranscriptionToBackend(callSid, sessionData.transcription, scriptId, sessionData.locale, finishUsage());
     }
-  });
+    resolveFinalSave();
+  }
+
+  connectOpenAI();
 
   // ========== Twilio WebSocket Events ==========
   ws.on('message', (message) => {
+    capture?.twilioIn(message);
     try {
       const data = JSON.parse(message.toString());
 
@@ -460,12 +1512,19 @@ OBJETIVO: Criar uma conversa tão natural que o cliente nem perceba que está fa
         case 'start':
           streamSid = data.start.streamSid;
           callSid = data.start.callSid;
+          capture?.setMeta({ callSid, streamSid, customParameters: data.start.customParameters || {} });
           
           // v22: Get scriptId from customParameters (preferred) or query
+          
           const startScriptId = data.start.customParameters?.scriptId || query.scriptId;
+          if (!isScriptAllowed(startScriptId)) {
+            callLog.warn('stream.rejected', 'Rejected stream: script is not allowed', { reason: 'script_not_allowed', requestedScriptId: startScriptId });
+            ws.close(CLOSE_POLICY_VIOLATION, 'Script not allowed');
+            return;
+          }
           if (startScriptId && startScriptId !== scriptId) {
             scriptId = startScriptId;
-            console.log(`[Twilio] Script ID updated from start event: ${scriptId}`);
+            callLog.debug('stream.script_id', 'Script ID updated from start event');
           }
           
           sessionData.contactPhone = data.start.customParameters?.contactPhone 
@@ -473,35 +1532,57 @@ OBJETIVO: Criar uma conversa tão natural que o cliente nem perceba que está fa
             || query.contactPhone 
             || data.start.customParameters?.From
             || null;
+
+          // Only the number we dialed; an opted-out person may still call us
+          const dialedPhone = data.start.customParameters?.contactPhone || data.start.customParameters?.to || query.contactPhone;
+          if (isOnDoNotCallList(dialedPhone)) {
+            callLog.warn('stream.rejected', 'Rejected stream: number is on the do-not-call list', { reason: 'do_not_call', contactPhone: dialedPhone });
+            ws.close(CLOSE_POLICY_VIOLATION, 'Do not call');
+            return;
+          }
           
-          console.log(`[Twilio] Stream started: ${streamSid}, Call: ${callSid}, Script: ${scriptId}, Phone: ${sessionData.contactPhone}`);
-          activeSessions.set(streamSid, { twilioWs: ws, openaiWs: openAiWs, streamSid, startTime: new Date() });
+          sessionData.answeredBy = data.start.customParameters?.answeredBy
+            || data.start.customParameters?.AnsweredBy
+            || null;
           
-          // v22: If we got a new scriptId, reconfigure the session with the correct script
-          if (startScriptId && !scriptData) {
-            fetchScript(startScriptId).then((script) => {
-              if (script) {
-                scriptData = script;
-                console.log(`[OpenAI] Script loaded late: ${script.name}`);
-                // If session is already configured but greeting hasn't been sent,
-                // reconfigure with the correct script
-                if (sessionConfigured && !greetingSent) {
-                  configureSession();
-                }
-              }
-            });
-          }
+          callLog.info('stream.started', 'Stream started', { contactPhone: sessionData.contactPhone, answeredBy: sessionData.answeredBy });
+          activeSessions.set(streamSid, {
+            twilioWs: ws, openaiWs: openAiWs, streamSid, startTime: new Date(),
+            callSid, scriptId, contactPhone: sessionData.contactPhone, sessionData,
+            stats: () => ({
+              audioChunksSent, audioChunksReceived, userMessageCount, interestNotified,
+              aiMuted, takenOver: !!operatorAudioSink, stage: currentStage, locale: sessionData.locale,
+            }),
+            controls: { whisper, say, mute, unmute, hangup, takeover, release, operatorAudio },
+          });
+          reportCallStarted(callSid);
+          metrics.callsStarted.inc();
+          streamStartedAt = Date.now();
+          publishCallEvent(streamSid, 'call.started', { callSid, scriptId, contactPhone: sessionData.contactPhone });
           
           // Reset timing
           responseStartTimestampTwilio = null;
           latestMediaTimestamp = 0;
           
+          loadCallScript(startScriptId, data.start.customParameters?.campaignId).catch((error) => {
+            callLog.error('script.load_failed', 'Could not set up the call, ending it', { error });
+            endCall();
+          });
+          
           scheduleTranscriptionSave();
           break;
 
         case 'media':
           latestMediaTimestamp = data.media.timestamp;
           audioChunksReceived++;
+          sessionData.usage.callerAudioMs += mulawDurationMs(data.media.payload);
+          recorder?.recordCaller(data.media.payload, latestMediaTimestamp);
+          if (voicemailState === 'awaiting_beep' || (!voicemailState && voicemailDetector.isWindowOpen(latestMediaTimestamp))) {
+            if (voicemailDetector.audioFrame(data.media.payload)) {
+              if (voicemailState === 'awaiting_beep') leaveVoicemail();
+              else handleVoicemailDetected('beep', true);
+            }
+          }
           if (openAiWs.readyState === WebSocket.OPEN) {
             openAiWs.send(JSON.stringify({
               type: 'input_audio_buffer.append',
@@ -509,45 +1590,94 @@ OBJETIVO: Criar uma conversa tão natural que o cliente nem perceba que está fa
             }));
           }
           if (audioChunksReceived === 1) {
-            console.log(`[Twilio] First media chunk received`);
+            callLog.info('media.first_chunk', 'First media chunk received');
           }
+          if (audioChunksReceived % 50 === 0) publishAudioStats();
+          if (operatorAudioSink) operatorAudioSink(data.media.payload);
           break;
 
         case 'mark':
           if (markQueue.length > 0) {
             markQueue.shift();
           }
+          checkSayPlayback();
+          if (markQueue.length === 0) armSilenceTimer();
+          break;
+
+        case 'dtmf':
+          handleDtmf(data.dtmf?.digit);
           break;
 
         case 'stop':
-          console.log('[Twilio] Stream stopped');
-          if (openAiWs.readyState === WebSocket.OPEN) openAiWs.close();
+          callLog.info('stream.stopped', 'Stream stopped');
+          closeOpenAI();
           if (streamSid) activeSessions.delete(streamSid);
           break;
 
         default:
-          console.log('[Twilio] Event:', data.event);
+          callLog.debug('stream.event', 'Unhandled Twilio event', { twilioEvent: data.event });
           break;
       }
     } catch (error) {
-      console.error('[Twilio] Error:', error.message);
+      callLog.error('stream.error', 'Could not handle Twilio message', { error });
     }
   });
 
-  ws.on('close', () => {
-    console.log('[Twilio] Disconnected');
-    if (openAiWs.readyState === WebSocket.OPEN) openAiWs.close();
+  ws.on('close', (code) => {
+    capture?.closed('twilio', code);
+    callLog.info('ws.disconnected', 'Disconnected', {
+      durationSeconds: Math.round((Date.now() - sessionData.startTime.getTime()) / 1000),
+      audioChunksSent, audioChunksReceived,
+    });
+    voiceProvider.cancel();
+    operatorAudioSink = null;
+    if (hangupTimer) clearTimeout(hangupTimer);
+    if (holdTimer) clearInterval(holdTimer);
+    if (voicemailTimer) clearTimeout(voicemailTimer);
+    clearCallTimers();
+    digitCollector?.cancel();
+    if (forwardTimer) clearTimeout(forwardTimer);
+    if (transfer && transferState !== 'connecting' && transferState !== 'connected') cancelWarmTransfer(transfer);
+    if (recorder && callSid) recorder.save(callSid);
+    closeOpenAI();
     if (streamSid) activeSessions.delete(streamSid);
+    if (streamStartedAt) {
+      const { model, cost, ...usage } = finishUsage();
+      recordCallMetrics();
+      recordCallUsage({
+        callSid, scriptId, campaignId: sessionData.campaignId, model,
+        startedAt: sessionData.startTime, usage, cost,
+      });
+    }
+    publishCallEvent(streamSid, 'call.ended', {
+      callSid, interested: interestNotified, audioChunksSent, audioChunksReceived,
+    });
+    if (callSid) {
+      reportCallEnded(callSid, {
+        interested: interestNotified,
+        transferred: sessionData.transferred,
+        voicemail: !!sessionData.voicemail,
+        endReason: sessionData.endReason || null,
+        intents: [...new Set(sessionData.intentSignals.flatMap((s) => s.intents.map((i) => i.category)))],
+        userMessages: userMessageCount,
+        transcriptionLength: sessionData.transcription.length,
+        toolCalls: sessionData.toolCalls.map((t) => t.name),
+        stagesReached: [...new Set(sessionData.stages.map((s) => s.stage))],
+        locale: sessionData.locale,
+        durationSeconds: Math.round((Date.now() - sessionData.startTime.getTime()) / 1000),
+      });
+    }
+    // The final transcript is queued once the OpenAI socket has closed; streams
+    // turned away never had a conversation to analyze
+    Promise.allSettled([finalSave, callAccepted && callSid && runPostCallProcessing()]).then(callWorkDone);
   });
 }
 
 // ============================================================
 // HTTP SERVER + WEBSOCKET SERVER
 // ============================================================
-const server = createServer((req, res) => {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+const server = createServer(async (req, res) => {
+  applyCors(req, res);
   
   if (req.method === 'OPTIONS') {
     res.writeHead(204);
@@ -555,14 +1685,38 @@ const server = createServer((req, res) => {
     return;
   }
   
-  if (req.url === '/health') {
+  const { pathname } = parse(req.url);
+
+  try {
+    if (await handleCampaignRoute(req, res, pathname)) return;
+    if (await handleSupervisorRoute(req, res, pathname, activeSessions)) return;
+    if (await handleTransferRoute(req, res, pathname)) return;
+    if (await handleRecordingRoute(req, res, pathname)) return;
+    if (await handleDeliveryRoute(req, res, pathname)) return;
+    if (await handleCapacityRoute(req, res, pathname, activeSessions)) return;
+    if (handleMetricsRoute(req, res, pathname, activeSessions)) return;
+    if (await handleUsageRoute(req, res, pathname)) return;
+    if (await handleCaptureRoute(req, res, pathname)) return;
+    if (await handleDoNotCallRoute(req, res, pathname)) return;
+  } catch (error) {
+    log.child('HTTP').error('http.error', 'Request failed', { method: req.method, path: pathname, error });
+    if (!res.headersSent) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'internal error' }));
+    }
+    return;
+  }
+  
+  if (pathname === '/health') {
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({
       status: 'healthy',
       version: '22.0.0',
-      voiceProvider: 'OpenAI Native',
-      voiceId: 'shimmer',
+      voiceProvider: DEFAULT_VOICE_PROVIDER,
+      voiceId: DEFAULT_VOICE_ID,
+      model: DEFAULT_REALTIME_MODEL,
       activeSessions: activeSessions.size,
+      draining: isDraining(),
       uptime: Math.round(process.uptime()),
     }));
     return;
@@ -573,24 +1727,55 @@ const server = createServer((req, res) => {
 });
 
 const wss = new WebSocketServer({ server });
+const wsLog = log.child('WS');
 wss.on('connection', (ws, req) => {
   const { pathname } = parse(req.url);
   if (pathname === '/media-stream') {
+    const ip = getClientIp(req);
+    if (isRateLimited(ip)) {
+      wsLog.warn('stream.rejected', 'Rate limited media stream', { ip, reason: 'rate_limited' });
+      ws.close(CLOSE_TRY_AGAIN_LATER, 'Rate limited');
+      return;
+    }
+    const capacityError = checkGlobalCapacity();
+    if (capacityError) {
+      wsLog.warn('stream.rejected', 'Rejected media stream', { ip, reason: capacityError });
+      ws.close(CLOSE_TRY_AGAIN_LATER, capacityError);
+      return;
+    }
+    const auth = authorizeMediaStream(req);
+    if (!auth.ok) {
+      wsLog.warn('stream.rejected', 'Rejected media stream', { ip, reason: auth.reason });
+      ws.close(CLOSE_POLICY_VIOLATION, auth.reason);
+      return;
+    }
+    trackStream(ws);
     handleTwilioConnection(ws, req);
+  } else if (pathname === '/monitor') {
+    handleMonitorConnection(ws, req, activeSessions);
   } else {
-    console.log('[WS] Unknown path:', pathname);
-    ws.close();
+    wsLog.warn('ws.unknown_path', 'Unknown path', { path: pathname });
+    ws.close(CLOSE_POLICY_VIOLATION, 'Unknown path');
   }
 });
 
 server.listen(PORT, () => {
-  console.log('========================================');
-  console.log(`Server v22 running on port ${PORT}`);
-  console.log(`Voice: OpenAI Native (shimmer)`);
-  console.log(`API: ${API_BASE_URL}`);
-  console.log('========================================');
+  log.info('server.listening', `Server v22 running on port ${PORT}`, { port: PORT });
+  startDeliveryWorker().catch((error) => log.error('delivery.start_failed', 'Delivery worker failed to start', { error }));
 });
 
-process.on('SIGTERM', () => server.close(() => process.exit(0)));
-process.on('uncaughtException', (error) => console.error('Uncaught:', error));
-process.on('unhandledRejection', (reason) => console.error('Unhandled:', reason));
+// Let live calls finish (and their transcripts and analyses be queued) before exiting
+function shutdown(signal) {
+  log.info('server.draining', `${signal} received, draining active calls`, { signal, activeCalls: activeSessions.size });
+  startDrain(activeSessions, pendingCallWork, () => {
+    server.close();
+    // Queued deliveries are on disk; the next process sends what is left
+    flushDeliveries().finally(() => process.exit(0));
+  });
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('uncaughtException', (error) => log.error('process.uncaught_exception', 'Uncaught exception', { error, stack: error?.stack }));
+process.on('unhandledRejection', (reason) => log.error('process.unhandled_rejection', 'Unhandled rejection', { error: reason, stack: reason?.stack }));
+
@@ -0,0 +1,53 @@
+// ============================================================
+// FAKE ZENIX BACKEND
+// Serves GET /api/scripts/:id from the scenario's scripts and records every
+// webhook POST (transcription, interest, intent, call-analysis, ...), so a
+// scenario can assert on what the server delivered. Point API_BASE_URL at it
+// (or TWILIO_API_BASE_URL: form-encoded bodies are parsed too).
+//
+// respond(path, body) may answer a POST itself by returning { status, body };
+// otherwise it gets 200 {}.
+// ============================================================
+
+import { createServer } from 'http';
+import { readParsedBody } from '../lib/http.js';
+import { createEventLog } from './events.js';
+
+export function startFakeBackend({ scripts = {}, respond } = {}) {
+  const log = createEventLog();
+
+  const server = createServer(async (req, res) => {
+    const scriptMatch = req.url.match(/^\/api\/scripts\/([^/?]+)/);
+    if (req.method === 'GET' && scriptMatch) {
+      const script = scripts[decodeURIComponent(scriptMatch[1])];
+      res.writeHead(script ? 200 : 404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(script || { error: 'not found' }));
+      return;
+    }
+
+    if (req.method === 'POST') {
+      const body = await readParsedBody(req);
+      log.push('received', {
+        type: req.headers['x-zenix-event'] || req.url,
+        path: req.url,
+        idempotencyKey: req.headers['idempotency-key'],
+        body,
+      });
+      const answer = respond?.(req.url, body) || { status: 200, body: {} };
+      res.writeHead(answer.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(answer.body));
+      return;
+    }
+
+    res.writeHead(404);
+    res.end();
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      log,
+      url: `http://127.0.0.1:${server.address().port}`,
+      close: () => new Promise((done) => server.close(() => done())),
+    }));
+  });
+}
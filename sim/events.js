@@ -0,0 +1,54 @@
+// ============================================================
+// EVENT LOG
+// Records the events a fake side sent and received, in order, so a
+// scenario can wait for one and assert on the exact sequence.
+// ============================================================
+
+export function createEventLog() {
+  const events = [];
+  const waiters = new Set();
+
+  function matches(event, predicate) {
+    return typeof predicate === 'function' ? predicate(event) : event.type === predicate;
+  }
+
+  return {
+    events,
+
+    push(direction, event) {
+      const entry = { direction, at: Date.now(), ...event };
+      events.push(entry);
+      for (const waiter of waiters) {
+        if (waiter.direction === direction && matches(entry, waiter.predicate)) {
+          waiters.delete(waiter);
+          clearTimeout(waiter.timer);
+          waiter.resolve(entry);
+        }
+      }
+    },
+
+    // Resolve with the first matching event after index `since` (default: any)
+    waitFor(direction, predicate, { timeoutMs = 5000, since = 0 } = {}) {
+      const found = events.slice(since).find((e) => e.direction === direction && matches(e, predicate));
+      if (found) return Promise.resolve(found);
+      return new Promise((resolve, reject) => {
+        const waiter = { direction, predicate, resolve };
+        waiter.timer = setTimeout(() => {
+          waiters.delete(waiter);
+          const name = typeof predicate === 'function' ? 'matching event' : predicate;
+          reject(new Error(`Timed out after ${timeoutMs}ms waiting for ${direction} ${name}`));
+        }, timeoutMs);
+        waiters.add(waiter);
+      });
+    },
+
+    filter(direction, predicate) {
+      return events.filter((e) => e.direction === direction && (!predicate || matches(e, predicate)));
+    },
+
+    // Event types in order, for asserting on a sequence
+    types(direction) {
+      return events.filter((e) => e.direction === direction).map((e) => e.type);
+    },
+  };
+}
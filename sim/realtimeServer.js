@@ -0,0 +1,219 @@
+// ============================================================
+// FAKE OPENAI REALTIME SERVER
+// Speaks enough of the Realtime event protocol to drive
+// handleTwilioConnection() without an OpenAI key: session.created/updated,
+// response.created → response.audio.delta → response.audio_transcript.done →
+// response.done (with usage), response.cancel, conversation.item.truncate,
+// caller speech (speech_started/stopped + transcription) and injected errors.
+//
+// Point the server at it with OPENAI_REALTIME_URL=<fake.url>.
+//
+//   const realtime = await startFakeRealtimeServer({ replies: ['Olá!'] });
+//   await realtime.log.waitFor('received', 'response.create');
+//   await realtime.userSays('Quero saber o preço');
+//
+// replies: queue of assistant turns, each a string or
+//   { text, audioMs }                 spoken reply (audioMs defaults from the text length)
+//   { functionCall: { name, arguments } }
+// ============================================================
+
+import { WebSocketServer } from 'ws';
+import { createEventLog } from './events.js';
+
+const FRAME_MS = 20;
+const SILENCE_FRAME = Buffer.alloc(160, 0xff).toString('base64');
+
+function normalizeReply(reply) {
+  if (typeof reply === 'string') reply = { text: reply };
+  if (reply.functionCall) return reply;
+  return { ...reply, audioMs: reply.audioMs ?? Math.max(400, reply.text.length * 60) };
+}
+
+// frameIntervalMs: delay between audio deltas (0 = as fast as possible)
+export function startFakeRealtimeServer({ port = 0, replies = [], defaultReply = 'Certo.', frameIntervalMs = 0 } = {}) {
+  const log = createEventLog();
+  const queue = replies.map(normalizeReply);
+  const connections = [];
+  let counter = 0;
+  const nextId = (prefix) => `${prefix}_${++counter}`;
+
+  const wss = new WebSocketServer({ port });
+
+  function send(conn, event) {
+    if (conn.socket.readyState !== conn.socket.OPEN) return;
+    log.push('sent', event);
+    conn.socket.send(JSON.stringify(event));
+  }
+
+  function current() {
+    const conn = connections[connections.length - 1];
+    if (!conn) throw new Error('no Realtime connection yet');
+    return conn;
+  }
+
+  // ========== Responses ==========
+  function finishResponse(conn, response, status) {
+    clearTimeout(response.timer);
+    conn.response = null;
+    send(conn, {
+      type: 'response.done',
+      response: { id: response.id, status, usage: response.usage },
+    });
+  }
+
+  function startResponse(conn) {
+    if (conn.response) {
+      send(conn, { type: 'error', error: { type: 'invalid_request_error', code: 'conversation_already_has_active_response', message: 'Conversation already has an active response' } });
+      return;
+    }
+    const reply = queue.length > 0 ? queue.shift() : normalizeReply(defaultReply);
+    const response = { id: nextId('resp'), itemId: nextId('item') };
+    conn.response = response;
+    send(conn, { type: 'response.created', response: { id: response.id, status: 'in_progress' } });
+
+    if (reply.functionCall) {
+      const args = reply.functionCall.arguments || {};
+      response.usage = { input_tokens: 50, output_tokens: 10, input_token_details: { text_tokens: 50, audio_tokens: 0 }, output_token_details: { text_tokens: 10, audio_tokens: 0 } };
+      send(conn, {
+        type: 'response.function_call_arguments.done',
+        response_id: response.id, item_id: response.itemId, call_id: nextId('call'),
+        name: reply.functionCall.name,
+        arguments: typeof args === 'string' ? args : JSON.stringify(args),
+      });
+      finishResponse(conn, response, 'completed');
+      return;
+    }
+
+    const textTokens = Math.ceil(reply.text.length / 4);
+    const frames = Math.ceil(reply.audioMs / FRAME_MS);
+    response.usage = {
+      input_tokens: 100, output_tokens: textTokens + frames,
+      input_token_details: { text_tokens: 80, audio_tokens: 20, cached_tokens: 0 },
+      output_token_details: { text_tokens: textTokens, audio_tokens: frames },
+    };
+    send(conn, { type: 'response.output_item.added', response_id: response.id, item: { id: response.itemId, type: 'message', role: 'assistant' } });
+
+    // Text-only sessions (TTS voice providers) get the text, not audio
+    if (conn.session.modalities && !conn.session.modalities.includes('audio')) {
+      send(conn, { type: 'response.text.done', response_id: response.id, item_id: response.itemId, text: reply.text });
+      finishResponse(conn, response, 'completed');
+      return;
+    }
+
+    let sent = 0;
+    const streamFrame = () => {
+      if (conn.response !== response) return;
+      if (sent < frames) {
+        sent++;
+        send(conn, { type: 'response.audio.delta', response_id: response.id, item_id: response.itemId, delta: SILENCE_FRAME });
+        response.timer = setTimeout(streamFrame, frameIntervalMs);
+        return;
+      }
+      send(conn, { type: 'response.audio.done', response_id: response.id, item_id: response.itemId });
+      send(conn, { type: 'response.audio_transcript.done', response_id: response.id, item_id: response.itemId, transcript: reply.text });
+      finishResponse(conn, response, 'completed');
+    };
+    response.timer = setTimeout(streamFrame, frameIntervalMs);
+  }
+
+  // ========== Client events ==========
+  function handleEvent(conn, event) {
+    switch (event.type) {
+      case 'session.update':
+        conn.session = { ...conn.session, ...event.session };
+        send(conn, { type: 'session.updated', session: conn.session });
+        break;
+      case 'input_audio_buffer.append':
+        conn.inputAudioMs += (Buffer.from(event.audio || '', 'base64').length / 8);
+        break;
+      case 'response.create':
+        startResponse(conn);
+        break;
+      case 'response.cancel':
+        if (conn.response) finishResponse(conn, conn.response, 'cancelled');
+        break;
+      case 'conversation.item.create':
+        send(conn, { type: 'conversation.item.created', item: { id: event.item?.id || nextId('item'), ...event.item } });
+        break;
+      case 'conversation.item.truncate':
+        send(conn, { type: 'conversation.item.truncated', item_id: event.item_id, content_index: event.content_index, audio_end_ms: event.audio_end_ms });
+        break;
+      default:
+        break;
+    }
+  }
+
+  wss.on('connection', (socket, req) => {
+    const conn = {
+      socket,
+      url: req.url,
+      headers: req.headers,
+      session: { id: nextId('sess'), turn_detection: { type: 'server_vad' } },
+      response: null,
+      inputAudioMs: 0,
+    };
+    connections.push(conn);
+    log.push('sent', { type: 'connection.opened', url: req.url });
+    send(conn, { type: 'session.created', session: conn.session });
+
+    socket.on('message', (message) => {
+      const event = JSON.parse(message.toString());
+      // Audio appends are counted, not logged
+      if (event.type !== 'input_audio_buffer.append') log.push('received', event);
+      handleEvent(conn, event);
+    });
+    socket.on('close', () => {
+      if (conn.response) clearTimeout(conn.response.timer);
+    });
+  });
+
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  return new Promise((resolve) => {
+    wss.on('listening', () => resolve({
+      log,
+      connections,
+      url: `ws://127.0.0.1:${wss.address().port}`,
+
+      get session() {
+        return current().session;
+      },
+
+      // Queue more assistant turns
+      reply(...items) {
+        queue.push(...items.map(normalizeReply));
+      },
+
+      // The caller speaks: VAD start/stop, the Whisper transcript and, with
+      // turn detection on, the assistant's response (respond: false = the
+      // model stalls and never answers)
+      async userSays(text, { durationMs = 800, respond = true } = {}) {
+        const conn = current();
+        const itemId = nextId('item');
+        const startMs = Math.round(conn.inputAudioMs);
+        send(conn, { type: 'input_audio_buffer.speech_started', audio_start_ms: startMs, item_id: itemId });
+        await sleep(durationMs);
+        send(conn, { type: 'input_audio_buffer.speech_stopped', audio_end_ms: startMs + durationMs, item_id: itemId });
+        send(conn, { type: 'input_audio_buffer.committed', item_id: itemId });
+        send(conn, { type: 'conversation.item.created', item: { id: itemId, type: 'message', role: 'user' } });
+        send(conn, { type: 'conversation.item.input_audio_transcription.completed', item_id: itemId, content_index: 0, transcript: text });
+        const turnDetection = conn.session.turn_detection;
+        if (respond && turnDetection && turnDetection.create_response !== false) startResponse(conn);
+      },
+
+      sendError({ type = 'server_error', code = null, message = 'Simulated error' } = {}) {
+        send(current(), { type: 'error', error: { type, code, message } });
+      },
+
+      // Drop the socket as an outage would, to exercise reconnects
+      dropConnection() {
+        current().socket.terminate();
+      },
+
+      close() {
+        for (const conn of connections) conn.socket.terminate();
+        return new Promise((done) => wss.close(() => done()));
+      },
+    }));
+  });
+}
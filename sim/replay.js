@@ -0,0 +1,327 @@
+// ============================================================
+// CALL REPLAY
+// Replays a call captured with CALL_CAPTURE=true (lib/capture.js) through a
+// real server.js process, offline: the captured Twilio events are sent by a
+// replay Twilio client, the captured OpenAI events by a replay Realtime
+// server, and the captured script by the fake backend. Nothing leaves
+// loopback (tool, summary, Twilio and ElevenLabs calls hit the fake backend).
+//
+//   npm run replay -- captures/CA123.jsonl
+//   npm run replay -- captures/CA123.jsonl --speed 0
+//
+// Inputs are released in the captured order, and each one waits until the
+// server has sent at least as many events (per socket) as it had at that
+// point of the original call, so the session logic sees the same sequence.
+// --speed N also keeps the captured timing, N times faster (default 1;
+// 0 = only the ordering), which matters for the server's own timers.
+//
+// Afterwards the server's outgoing events are compared with the capture:
+// the first divergence per socket and the counts of the events behind the
+// usual sequencing bugs (response.create, VAD enables, clear, truncate).
+// Exits with 1 when the replay diverged.
+//
+// Without CALL_CAPTURE_AUDIO=true the audio is replayed as silence of the
+// same length; paths that listen to the audio itself (voicemail beep) need
+// a capture with audio. SIM_VERBOSE=true prints the server's log lines.
+// ============================================================
+
+import { readFile, mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { WebSocket, WebSocketServer } from 'ws';
+import { startFakeBackend } from './backend.js';
+import { createEventLog } from './events.js';
+import { startServer } from './server.js';
+
+const STALL_TIMEOUT_MS = 5000;
+const SETTLE_MS = 1000;
+const VERBOSE = process.env.SIM_VERBOSE === 'true';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const silence = (bytes) => Buffer.alloc(bytes, 0xff).toString('base64');
+
+// ========== Capture ==========
+async function loadCapture(file) {
+  const [meta, ...entries] = (await readFile(file, 'utf8')).split('\n').filter(Boolean).map((line) => JSON.parse(line));
+  if (meta?.type !== '_meta') throw new Error(`${file} is not a call capture`);
+  return { meta, entries };
+}
+
+function channelOf(entry) {
+  return entry.source === 'openai' ? `openai:${entry.conn}` : entry.source;
+}
+
+function typeOf(event) {
+  return event.event || event.type;
+}
+
+// Outgoing events compared between capture and replay (audio frames excluded)
+function isCounted(event) {
+  const type = typeOf(event);
+  return type !== 'media' && type !== 'input_audio_buffer.append' && type !== '_close';
+}
+
+// Each input with the server's output counts it waited for in the original
+function planInputs(entries) {
+  const sent = {};
+  const inputs = [];
+  const closedByServer = new Set();
+  for (const entry of entries) {
+    const channel = channelOf(entry);
+    if (entry.dir === 'out') {
+      if (typeOf(entry.event) === '_close') closedByServer.add(channel);
+      else if (isCounted(entry.event)) sent[channel] = (sent[channel] || 0) + 1;
+      continue;
+    }
+    if (entry.source === 'backend' || typeOf(entry.event) === '_open') continue;
+    // A close the server asked for happens by itself in the replay too
+    if (typeOf(entry.event) === '_close' && closedByServer.has(channel)) continue;
+    inputs.push({ ...entry, channel, after: { ...sent } });
+  }
+  return inputs;
+}
+
+function expectedOutputs(entries) {
+  const outputs = {};
+  for (const entry of entries) {
+    if (entry.dir !== 'out' || entry.source === 'backend' || !isCounted(entry.event)) continue;
+    (outputs[channelOf(entry)] ||= []).push(entry.event);
+  }
+  return outputs;
+}
+
+// Script as the server saw it: campaign session settings folded in, tool
+// endpoints pointed at the fake backend
+function capturedScript(entries) {
+  const script = entries.find((e) => e.source === 'backend' && e.event.type === 'script')?.event;
+  const campaign = entries.find((e) => e.source === 'backend' && e.event.type === 'campaign')?.event;
+  if (!script?.script) {
+    if (campaign?.session) console.log('warn  campaign session settings are not replayed without a script');
+    return {};
+  }
+  const data = { ...script.script };
+  if (campaign?.session) data.session = { ...data.session, ...campaign.session };
+  if (Array.isArray(data.tools)) {
+    data.tools = data.tools.map((tool) => (tool?.endpoint ? { ...tool, endpoint: tool.endpoint.replace(/^https?:\/\/[^/]+/, '') } : tool));
+  }
+  return { [script.scriptId]: data };
+}
+
+// Tool backends answer with the outputs the model got in the original call
+function toolResponder(entries) {
+  const names = new Map();
+  const results = new Map();
+  for (const { source, dir, event } of entries) {
+    if (source !== 'openai') continue;
+    if (dir === 'in' && event.type === 'response.function_call_arguments.done') names.set(event.call_id, event.name);
+    if (dir === 'out' && event.type === 'conversation.item.create' && event.item?.type === 'function_call_output') {
+      const name = names.get(event.item.call_id);
+      if (!results.has(name)) results.set(name, []);
+      results.get(name).push(JSON.parse(event.item.output));
+    }
+  }
+  return (path, body) => {
+    const result = body?.tool && results.get(body.tool)?.shift();
+    if (!result) return null;
+    const { ok, error, ...rest } = result;
+    return ok ? { status: 200, body: rest } : { status: 500, body: { error } };
+  };
+}
+
+// ========== Replay sides ==========
+// Realtime server that speaks only when told to; connections are numbered
+// in order like in the capture
+function startReplayRealtimeServer(received) {
+  const wss = new WebSocketServer({ port: 0 });
+  const connections = [];
+  wss.on('connection', (socket) => {
+    const channel = `openai:${connections.length + 1}`;
+    connections.push(socket);
+    socket.on('message', (data) => {
+      const event = JSON.parse(data.toString());
+      if (isCounted(event)) received.push(channel, event);
+    });
+  });
+  return new Promise((resolve) => {
+    wss.on('listening', () => resolve({
+      url: `ws://127.0.0.1:${wss.address().port}`,
+      connection: (conn) => connections[conn - 1],
+      close: () => new Promise((done) => {
+        for (const socket of connections) socket.terminate();
+        wss.close(() => done());
+      }),
+    }));
+  });
+}
+
+function restoreAudio(event) {
+  if (event.event === 'media' && event.media.payloadBytes != null) {
+    const { payloadBytes, ...media } = event.media;
+    return { ...event, media: { ...media, payload: silence(payloadBytes) } };
+  }
+  if (event.deltaBytes != null) {
+    const { deltaBytes, ...rest } = event;
+    return { ...rest, delta: silence(deltaBytes) };
+  }
+  return event;
+}
+
+function closeSocket(socket, code) {
+  if (!socket || socket.readyState !== WebSocket.OPEN) return;
+  if (!code || code === 1005 || code === 1006) socket.terminate();
+  else socket.close(code);
+}
+
+// ========== Report ==========
+function firstDivergence(expected, actual) {
+  const length = Math.max(expected.length, actual.length);
+  for (let i = 0; i < length; i++) {
+    if (typeOf(expected[i] || {}) !== typeOf(actual[i] || {})) return i;
+  }
+  return -1;
+}
+
+const KEY_COUNTS = {
+  'response.create': (e) => e.type === 'response.create',
+  'session.update (VAD on)': (e) => e.type === 'session.update' && !!e.session?.turn_detection,
+  'conversation.item.truncate': (e) => e.type === 'conversation.item.truncate',
+  'clear': (e) => e.event === 'clear',
+};
+
+function report(expected, actual, notes) {
+  let diverged = notes.length > 0;
+  for (const note of notes) console.log(`warn  ${note}`);
+
+  const channels = [...new Set([...Object.keys(expected), ...Object.keys(actual)])].sort();
+  for (const channel of channels) {
+    const want = expected[channel] || [];
+    const got = actual[channel] || [];
+    const index = firstDivergence(want, got);
+    if (index === -1) {
+      console.log(`same  ${channel}: ${want.length} events`);
+      continue;
+    }
+    diverged = true;
+    const around = (list) => list.slice(Math.max(0, index - 2), index + 3).map(typeOf).join(' → ') || '(nothing)';
+    console.log(`DIFF  ${channel} at event #${index + 1}`);
+    console.log(`        capture: ${around(want)}`);
+    console.log(`        replay:  ${around(got)}`);
+  }
+
+  const all = (outputs) => Object.values(outputs).flat();
+  for (const [name, match] of Object.entries(KEY_COUNTS)) {
+    const before = all(expected).filter(match).length;
+    const after = all(actual).filter(match).length;
+    console.log(`${before === after ? 'same' : 'DIFF'}  ${name}: capture ${before}, replay ${after}`);
+  }
+  return diverged;
+}
+
+// ========== Run ==========
+async function replay(file, speed) {
+  const { meta, entries } = await loadCapture(file);
+  const inputs = planInputs(entries);
+  const expected = expectedOutputs(entries);
+  console.log(`replay ${meta.callSid || file}: ${inputs.length} inputs, speed ${speed || 'ordering only'}`);
+
+  const received = createEventLog();
+  const counts = {};
+  const push = received.push;
+  received.push = (channel, event) => {
+    counts[channel] = (counts[channel] || 0) + 1;
+    push(channel, event);
+  };
+
+  const dataDir = await mkdtemp(join(tmpdir(), 'zenix-replay-'));
+  const serverLog = createEventLog();
+  const realtime = await startReplayRealtimeServer(received);
+  const backend = await startFakeBackend({ scripts: capturedScript(entries), respond: toolResponder(entries) });
+  const notes = [];
+  let server = null;
+  let twilio = null;
+
+  try {
+    server = await startServer({
+      OPENAI_API_KEY: 'replay',
+      OPENAI_REALTIME_URL: realtime.url,
+      OPENAI_API_BASE_URL: backend.url,
+      API_BASE_URL: backend.url,
+      TWILIO_API_BASE_URL: backend.url,
+      ELEVENLABS_BASE_URL: backend.url,
+      MEDIA_STREAM_AUTH: 'off',
+      INTENT_CLASSIFIER: 'keywords',
+      CALL_CAPTURE: 'false',
+      DELIVERY_DIR: join(dataDir, 'deliveries'),
+      USAGE_DIR: join(dataDir, 'usage'),
+      RECORDINGS_DIR: join(dataDir, 'recordings'),
+      DO_NOT_CALL_FILE: join(dataDir, 'do-not-call.jsonl'),
+      CALLING_WINDOWS: '',
+    }, serverLog, { verbose: VERBOSE });
+
+    twilio = new WebSocket(`${server.url}${meta.url || '/media-stream'}`);
+    twilio.on('message', (data) => {
+      const event = JSON.parse(data.toString());
+      if (isCounted(event)) received.push('twilio', event);
+    });
+    const twilioClosed = new Promise((resolve) => twilio.on('close', resolve));
+    await new Promise((resolve, reject) => {
+      twilio.on('open', resolve);
+      twilio.on('error', reject);
+    });
+
+    const target = (channel) => (channel === 'twilio' ? twilio : realtime.connection(Number(channel.split(':')[1])));
+    const caughtUp = (input) => !!target(input.channel)
+      && Object.entries(input.after).every(([channel, count]) => (counts[channel] || 0) >= count);
+
+    const startedAt = Date.now();
+    for (const input of inputs) {
+      if (speed > 0) {
+        const wait = startedAt + input.t / speed - Date.now();
+        if (wait > 0) await sleep(wait);
+      }
+      const deadline = Date.now() + STALL_TIMEOUT_MS;
+      while (!caughtUp(input) && Date.now() < deadline) await sleep(5);
+      if (!caughtUp(input)) {
+        notes.push(`stalled before ${input.channel} ${typeOf(input.event)} at ${input.t}ms: the server did not send what it sent in the capture`);
+      }
+
+      const socket = target(input.channel);
+      if (typeOf(input.event) === '_close') closeSocket(socket, input.event.code);
+      else if (socket?.readyState === WebSocket.OPEN) socket.send(JSON.stringify(restoreAudio(input.event)));
+    }
+
+    // Let the server finish what the last inputs triggered (post-call, closes)
+    await Promise.race([twilioClosed, sleep(STALL_TIMEOUT_MS)]);
+    await sleep(SETTLE_MS);
+  } finally {
+    if (twilio?.readyState === WebSocket.OPEN) twilio.terminate();
+    await server?.stop();
+    await realtime.close();
+    await backend.close();
+    await rm(dataDir, { recursive: true, force: true });
+  }
+
+  const actual = {};
+  for (const { direction, at, ...event } of received.events) (actual[direction] ||= []).push(event);
+  return report(expected, actual, notes);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const speedIndex = args.indexOf('--speed');
+  const speed = speedIndex === -1 ? 1 : Number(args[speedIndex + 1]);
+  const file = args.find((arg, i) => !arg.startsWith('--') && (speedIndex === -1 || i !== speedIndex + 1));
+  if (!file || !Number.isFinite(speed) || speed < 0) {
+    console.log('usage: npm run replay -- <capture.jsonl> [--speed N]');
+    process.exit(2);
+  }
+  try {
+    const diverged = await replay(file, speed);
+    process.exit(diverged ? 1 : 0);
+  } catch (error) {
+    console.log(`FAIL  ${error.message}`);
+    process.exit(2);
+  }
+}
+
+main();
@@ -0,0 +1,110 @@
+// ============================================================
+// CALL SIMULATOR
+// Runs scripted calls end to end against a real server.js process wired to
+// the fake Realtime server, a fake backend and a fake Twilio client.
+//
+//   npm run simulate                 every scenario in sim/scenarios
+//   npm run simulate -- barge-in     only the named scenarios
+//
+// A scenario module default-exports { replies?, scripts?, respond?, env?, run(ctx) };
+// run() drives the call and throws (node:assert) when an expectation fails.
+// respond is passed to the fake backend; env may also be a function of
+// { realtime, backend }, for settings that point at them.
+// ctx: { realtime, backend, call(options), server, restart(), serverLog, sleep }
+// restart() replaces server.js with a fresh process on the same data dir.
+// SIM_VERBOSE=true prints the server's log lines.
+// ============================================================
+
+import { mkdtemp, readdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join, basename } from 'path';
+import { pathToFileURL } from 'url';
+import { startFakeRealtimeServer } from './realtimeServer.js';
+import { startFakeBackend } from './backend.js';
+import { connectFakeTwilioCall } from './twilioClient.js';
+import { createEventLog } from './events.js';
+import { ROOT, startServer } from './server.js';
+
+const SCENARIO_DIR = join(ROOT, 'sim', 'scenarios');
+const SCENARIO_TIMEOUT_MS = 30000;
+const VERBOSE = process.env.SIM_VERBOSE === 'true';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function runScenario(scenario) {
+  const dataDir = await mkdtemp(join(tmpdir(), 'zenix-sim-'));
+  const serverLog = createEventLog();
+  const realtime = await startFakeRealtimeServer({ replies: scenario.replies || [] });
+  const backend = await startFakeBackend({ scripts: scenario.scripts || {}, respond: scenario.respond });
+  let server = null;
+
+  try {
+    const env = {
+      OPENAI_API_KEY: 'sim',
+      OPENAI_REALTIME_URL: realtime.url,
+      API_BASE_URL: backend.url,
+      MEDIA_STREAM_AUTH: 'off',
+      INTENT_CLASSIFIER: 'keywords',
+      DELIVERY_DIR: join(dataDir, 'deliveries'),
+      USAGE_DIR: join(dataDir, 'usage'),
+      RECORDINGS_DIR: join(dataDir, 'recordings'),
+      DO_NOT_CALL_FILE: join(dataDir, 'do-not-call.jsonl'),
+      CAMPAIGNS_FILE: join(dataDir, 'campaigns.jsonl'),
+      CALLING_WINDOWS: '',
+      ...(typeof scenario.env === 'function' ? scenario.env({ realtime, backend }) : scenario.env),
+    };
+    server = await startServer(env, serverLog, { verbose: VERBOSE });
+
+    const ctx = {
+      realtime,
+      backend,
+      serverLog,
+      server,
+      sleep,
+      call: (options = {}) => connectFakeTwilioCall({ url: `${ctx.server.url}/media-stream`, ...options }),
+      async restart() {
+        await server.stop();
+        server = await startServer(env, serverLog, { verbose: VERBOSE });
+        ctx.server = server;
+        return server;
+      },
+    };
+    let timer;
+    await Promise.race([
+      scenario.run(ctx),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`scenario timed out after ${SCENARIO_TIMEOUT_MS}ms`)), SCENARIO_TIMEOUT_MS);
+      }),
+    ]).finally(() => clearTimeout(timer));
+  } finally {
+    await server?.stop();
+    await realtime.close();
+    await backend.close();
+    await rm(dataDir, { recursive: true, force: true });
+  }
+}
+
+async function main() {
+  const only = process.argv.slice(2);
+  const files = (await readdir(SCENARIO_DIR)).filter((name) => name.endsWith('.js')).sort();
+  let failed = 0;
+
+  for (const file of files) {
+    const name = basename(file, '.js');
+    if (only.length > 0 && !only.includes(name)) continue;
+    const { default: scenario } = await import(pathToFileURL(join(SCENARIO_DIR, file)));
+    const startedAt = Date.now();
+    try {
+      await runScenario(scenario);
+      console.log(`ok    ${name} (${Date.now() - startedAt}ms)`);
+    } catch (error) {
+      failed++;
+      console.log(`FAIL  ${name}: ${error.message}`);
+      if (error.stack && VERBOSE) console.log(error.stack);
+    }
+  }
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
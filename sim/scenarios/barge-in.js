@@ -0,0 +1,36 @@
+// Caller talks over a long reply: the item is truncated at the audio
+// actually played, Twilio's buffer is cleared and pending marks return.
+
+import assert from 'node:assert/strict';
+
+export default {
+  replies: [
+    { text: 'Olá!', audioMs: 200 },
+    { text: 'Deixa eu te explicar com calma como funciona o nosso plano.', audioMs: 5000 },
+  ],
+
+  async run({ realtime, call, sleep }) {
+    const twilio = await call();
+    await realtime.log.waitFor('received',
+      (e) => e.type === 'session.update' && e.session.turn_detection?.type === 'server_vad');
+
+    // Long answer streams to Twilio faster than it plays
+    const since = realtime.log.events.length;
+    await realtime.userSays('Como funciona?', { durationMs: 200 });
+    const longReply = await realtime.log.waitFor('sent', 'response.output_item.added', { since });
+    await realtime.log.waitFor('sent', 'response.done', { since });
+    await sleep(1000);
+    assert.ok(twilio.bufferedMs > 2000, 'the long reply is still playing');
+
+    await realtime.userSays('Espera, espera', { durationMs: 300 });
+    const truncate = await realtime.log.waitFor('received', 'conversation.item.truncate');
+    assert.equal(truncate.item_id, longReply.item.id);
+    assert.ok(truncate.audio_end_ms >= 900 && truncate.audio_end_ms <= 2000,
+      `truncated near the played position (${truncate.audio_end_ms}ms)`);
+
+    await twilio.log.waitFor('received', 'clear');
+    assert.equal(twilio.bufferedMs, 0, 'Twilio buffer cleared');
+
+    await twilio.hangup();
+  },
+};
@@ -0,0 +1,113 @@
+// Campaign: Twilio's completed status callback can arrive before the media
+// stream closes; the contact waits for the session and is still recorded
+// as interested. A restart mid-campaign keeps each contact's attempts and
+// retry schedule, and the dialer picks up where it stopped.
+// The fake backend stands in for the Twilio REST API.
+
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+
+const PUBLIC_BASE_URL = 'https://voice.example.com';
+const TWILIO_AUTH_TOKEN = 'sim-token';
+const ADMIN_TOKEN = 'sim-admin';
+const CONTACT = '+5511987654321';
+
+let dials = 0;
+
+// Status callback for the campaign call, signed like Twilio signs it
+function callStatus(server, params) {
+  const url = `${PUBLIC_BASE_URL}/campaigns/twilio-status`;
+  const data = Object.keys(params).sort().reduce((acc, key) => acc + key + params[key], url);
+  return fetch(`${server.httpUrl}/campaigns/twilio-status`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'X-Twilio-Signature': createHmac('sha1', TWILIO_AUTH_TOKEN).update(data).digest('base64'),
+    },
+    body: new URLSearchParams(params).toString(),
+  });
+}
+
+export default {
+  env: ({ backend }) => ({
+    TWILIO_API_BASE_URL: backend.url,
+    TWILIO_ACCOUNT_SID: 'ACsimulator',
+    TWILIO_AUTH_TOKEN,
+    TWILIO_FROM_NUMBER: '+551130000000',
+    PUBLIC_BASE_URL,
+    ADMIN_TOKEN,
+    CAMPAIGN_TICK_MS: '200',
+    OPENAI_API_BASE_URL: backend.url, // post-call analysis falls back to the session signals
+  }),
+  scripts: {
+    sales: { name: 'Sales' },
+  },
+  respond(path) {
+    if (path.endsWith('/Calls.json')) return { status: 201, body: { sid: `CAcampaign${++dials}` } };
+    return null;
+  },
+  replies: [
+    { text: 'Olá, aqui é a Zenix.', audioMs: 200 },
+    { text: 'Ótimo, vamos marcar!', audioMs: 200 },
+  ],
+
+  async run(ctx) {
+    const { realtime, backend, serverLog, call, sleep } = ctx;
+    const admin = (path, options = {}) => fetch(`${ctx.server.httpUrl}${path}`, {
+      ...options,
+      headers: { Authorization: `Bearer ${ADMIN_TOKEN}`, 'Content-Type': 'application/json' },
+    }).then((res) => res.json());
+    const contactOf = async (campaignId, index = 0) => (await admin(`/campaigns/${campaignId}`)).contacts[index];
+    const dialing = (callSid) => serverLog.waitFor('server', (e) => e.type === 'contact.dialing' && e.callSid === callSid);
+
+    const malformed = await fetch(`${ctx.server.httpUrl}/campaigns/twilio-status`, {
+      method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{',
+    });
+    assert.equal(malformed.status, 400, 'a malformed callback is refused, not retried on a 500');
+
+    const campaign = await admin('/campaigns', { method: 'POST', body: JSON.stringify({ scriptId: 'sales', contacts: [CONTACT] }) });
+    const dialed = await backend.log.waitFor('received', (e) => e.path.endsWith('/Calls.json'));
+    assert.equal(dialed.body.To, CONTACT);
+    await dialing('CAcampaign1');
+
+    const twilio = await call({ callSid: 'CAcampaign1', customParameters: { scriptId: 'sales', campaignId: campaign.id, contactPhone: CONTACT } });
+    await realtime.log.waitFor('received', (e) => e.type === 'session.update' && e.session.turn_detection?.type === 'server_vad');
+    await realtime.userSays('Tenho interesse, pode agendar', { durationMs: 200 });
+    await serverLog.waitFor('server', 'interest.detected');
+
+    // Twilio reports the end of the call first
+    await callStatus(ctx.server, { CallSid: 'CAcampaign1', CallStatus: 'completed' });
+    await sleep(200);
+    assert.equal((await contactOf(campaign.id)).status, 'in_progress', 'the contact waits for the session');
+
+    await twilio.hangup();
+    await serverLog.waitFor('server', (e) => e.type === 'contact.done' && e.callSid === 'CAcampaign1');
+    const contact = await contactOf(campaign.id);
+    assert.equal(contact.outcome, 'interested');
+    assert.equal(contact.session.interested, true);
+    assert.equal((await admin(`/campaigns/${campaign.id}`)).status, 'completed');
+
+    // Restart while the first of two contacts is ringing
+    const second = await admin('/campaigns', {
+      method: 'POST',
+      body: JSON.stringify({ scriptId: 'sales', contacts: ['+5511900000001', '+5511900000002'], retry: { delayMinutes: 30 } }),
+    });
+    await dialing('CAcampaign2');
+    await sleep(200); // the state is appended asynchronously
+    await ctx.restart();
+    await serverLog.waitFor('server', (e) => e.type === 'campaign.loaded' && e.running === 1);
+    const ringing = await contactOf(second.id);
+    assert.equal(ringing.status, 'dialing');
+    assert.equal(ringing.callSid, 'CAcampaign2');
+
+    // The status callback still finds the call; the retry is kept and the next contact is dialed
+    await callStatus(ctx.server, { CallSid: 'CAcampaign2', CallStatus: 'no-answer' });
+    await dialing('CAcampaign3');
+    const retried = await contactOf(second.id);
+    assert.equal(retried.status, 'pending');
+    assert.equal(retried.outcome, 'no_answer');
+    assert.ok(retried.nextAttemptAt > Date.now() + 25 * 60 * 1000, 'the retry is scheduled after the delay');
+    assert.equal((await contactOf(campaign.id)).outcome, 'interested', 'finished campaigns are kept');
+    await admin(`/campaigns/${second.id}/cancel`, { method: 'POST' });
+  },
+};
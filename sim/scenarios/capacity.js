@@ -0,0 +1,52 @@
+// MAX_CONCURRENT_CALLS counts streams from the moment they connect: sockets
+// that never send start still hold their slot (and their OpenAI socket).
+// A script at its own limit turns the next call away, whatever the length of
+// its id, and the turned-away call is never analyzed.
+
+import assert from 'node:assert/strict';
+import { WebSocket } from 'ws';
+
+const LONG_SCRIPT_ID = `campaign-${'x'.repeat(140)}`;
+
+export default {
+  env: ({ backend }) => ({
+    MAX_CONCURRENT_CALLS: '2',
+    OPENAI_API_BASE_URL: backend.url, // analysis falls back to the session signals
+  }),
+  scripts: {
+    [LONG_SCRIPT_ID]: { name: 'Limited', maxConcurrentCalls: 1 },
+  },
+  replies: [{ text: 'Olá!', audioMs: 200 }, { text: 'Olá!', audioMs: 200 }],
+
+  async run({ realtime, backend, serverLog, server, call, sleep }) {
+    const idle = await Promise.all([0, 1].map(() => new Promise((resolve, reject) => {
+      const socket = new WebSocket(`${server.url}/media-stream`);
+      socket.on('open', () => resolve(socket));
+      socket.on('error', reject);
+    })));
+
+    const refused = await call();
+    assert.equal((await refused.closed).code, 1013, 'a third stream is refused before its start event');
+    await sleep(200);
+    assert.equal(realtime.connections.length, 2, 'no OpenAI socket for the refused stream');
+
+    idle[0].close();
+    await sleep(200);
+    const twilio = await call();
+    await realtime.log.waitFor('sent', 'response.done');
+    assert.equal(twilio.closeInfo, null);
+
+    idle[1].close();
+    await twilio.hangup();
+    await sleep(200);
+
+    const first = await call({ customParameters: { scriptId: LONG_SCRIPT_ID } });
+    await serverLog.waitFor('server', (e) => e.type === 'greeting.requested' && e.callSid === first.callSid);
+    const second = await call({ customParameters: { scriptId: LONG_SCRIPT_ID } });
+    assert.equal((await second.closed).code, 1013, 'the script is at its limit');
+    await first.hangup();
+    await backend.log.waitFor('received', (e) => e.type === 'call-analysis' && e.body.callSid === first.callSid, { timeoutMs: 8000 });
+    assert.equal(backend.log.filter('received', (e) => e.type === 'call-analysis' && e.body.callSid === second.callSid).length, 0,
+      'no analysis for a call that never had a conversation');
+  },
+};
@@ -0,0 +1,42 @@
+// SIGTERM mid-call: new streams are refused while the live call goes on, a
+// stream that connected before the drain but sends start after it is still
+// taken, and the process only exits once the calls' final transcript and
+// analysis are queued.
+
+import assert from 'node:assert/strict';
+
+export default {
+  replies: [
+    { text: 'Olá, aqui é a Zenix.', audioMs: 200 },
+    { text: 'Olá, aqui é a Zenix.', audioMs: 200 },
+  ],
+
+  async run({ realtime, serverLog, server, call, sleep }) {
+    const twilio = await call();
+    await realtime.log.waitFor('sent', 'response.done');
+    let sendStart;
+    const late = await call({ startAfter: new Promise((resolve) => { sendStart = resolve; }) });
+
+    server.signal('SIGTERM');
+    await serverLog.waitFor('server', 'server.draining');
+    const refused = await call();
+    assert.equal((await refused.closed).code, 1013, 'new streams are refused while draining');
+    const ready = await fetch(`${server.httpUrl}/ready`);
+    assert.equal(ready.status, 503);
+
+    sendStart();
+    await serverLog.waitFor('server', (e) => e.type === 'greeting.requested' && e.callSid === late.callSid);
+    assert.equal(late.closeInfo, null, 'a stream accepted before the drain is not dropped');
+
+    await sleep(1500);
+    assert.equal(twilio.closeInfo, null, 'the live call is not cut off');
+    await realtime.userSays('Pode falar');
+    await twilio.hangup();
+    await late.hangup();
+
+    assert.equal(await server.exited, 0);
+    for (const event of ['transcription.final_save', 'analysis.queued']) {
+      assert.ok(serverLog.filter('server', event).length > 0, `${event} before exiting`);
+    }
+  },
+};
@@ -0,0 +1,54 @@
+// Keypad input: the model collects a CPF with collect_digits, a menu key
+// instructs the model, and other keys are forwarded as one message.
+
+import assert from 'node:assert/strict';
+
+export default {
+  scripts: {
+    keypad: {
+      name: 'Keypad',
+      dtmf: { menu: { 9: { action: 'instruct', text: 'O cliente pediu para ouvir as opções de novo.' } } },
+    },
+  },
+  replies: [
+    { text: 'Olá!', audioMs: 200 },
+    { functionCall: { name: 'collect_digits', arguments: { name: 'cpf', minDigits: 11, maxDigits: 11 } } },
+    { text: 'Obrigada, encontrei seu cadastro.', audioMs: 300 },
+  ],
+
+  async run({ realtime, backend, serverLog, call, sleep }) {
+    const twilio = await call({ customParameters: { scriptId: 'keypad' } });
+    const [configure] = await Promise.all([
+      realtime.log.waitFor('received', 'session.update'),
+      realtime.log.waitFor('received', (e) => e.type === 'session.update' && e.session.turn_detection?.type === 'server_vad'),
+    ]);
+    assert.ok(configure.session.tools.some((t) => t.name === 'collect_digits'), 'the model can ask for keypad input');
+
+    await realtime.userSays('Quero ver meu pedido', { durationMs: 200 });
+    await serverLog.waitFor('server', (e) => e.type === 'tool.called' && e.tool === 'collect_digits');
+    for (const digit of '12345678909') twilio.sendDigit(digit);
+
+    const output = await realtime.log.waitFor('received',
+      (e) => e.type === 'conversation.item.create' && e.item.type === 'function_call_output');
+    assert.deepEqual(JSON.parse(output.item.output), { ok: true, name: 'cpf', digits: '12345678909', endedBy: 'max_digits' });
+    const delivered = await backend.log.waitFor('received', 'dtmf');
+    assert.equal(delivered.body.digits, '12345678909');
+
+    const since = realtime.log.events.length;
+    twilio.sendDigit('9');
+    const instruction = await realtime.log.waitFor('received', 'conversation.item.create', { since });
+    assert.match(instruction.item.content[0].text, /ouvir as opções/);
+
+    await sleep(500);
+    twilio.sendDigit('4');
+    twilio.sendDigit('2');
+    const forwarded = await realtime.log.waitFor('received',
+      (e) => e.type === 'conversation.item.create' && /teclado/.test(e.item.content?.[0]?.text), { since });
+    assert.match(forwarded.item.content[0].text, /4 2$/);
+
+    await twilio.hangup();
+    const analysis = await backend.log.waitFor('received', 'call-analysis', { timeoutMs: 8000 });
+    assert.equal(analysis.body.dtmf.collected[0].digits, '12345678909');
+    assert.deepEqual(analysis.body.dtmf.keys.slice(-3).map((k) => k.handledAs), ['menu', 'model', 'model']);
+  },
+};
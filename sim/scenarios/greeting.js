@@ -0,0 +1,38 @@
+// Greeting with VAD off, VAD enabled after it finishes, every audio chunk
+// followed by a mark, and the final transcript delivered with usage.
+
+import assert from 'node:assert/strict';
+
+export default {
+  replies: [{ text: 'Olá, aqui é a Zenix.', audioMs: 600 }],
+
+  async run({ realtime, backend, call }) {
+    const twilio = await call();
+
+    await realtime.log.waitFor('received', 'response.create');
+    const [configure] = realtime.log.filter('received', 'session.update');
+    assert.equal(configure.session.turn_detection, null, 'VAD is off while greeting');
+    assert.equal(configure.session.input_audio_format, 'g711_ulaw');
+
+    const done = await realtime.log.waitFor('sent', 'response.done');
+    const vad = await realtime.log.waitFor('received',
+      (e) => e.type === 'session.update' && e.session.turn_detection?.type === 'server_vad');
+    assert.ok(vad.at - done.at >= 1000, 'VAD is enabled only after the greeting delay');
+
+    const media = twilio.log.filter('received', 'media');
+    const marks = twilio.log.filter('received', 'mark');
+    assert.equal(media.length, 30, '600ms of audio in 20ms frames');
+    assert.equal(marks.length, media.length, 'one mark per audio chunk');
+
+    await realtime.userSays('Oi, tudo bem?');
+    await realtime.log.waitFor('sent', (e) => e.type === 'response.done' && e.response.id !== done.response.id);
+
+    await twilio.hangup();
+    const transcript = await backend.log.waitFor('received',
+      (e) => e.type === 'transcription' && e.body.final, { timeoutMs: 8000 });
+    assert.match(transcript.body.transcription, /Olá, aqui é a Zenix/);
+    assert.match(transcript.body.transcription, /Oi, tudo bem\?/);
+    assert.equal(transcript.body.usage.responses, 2);
+    assert.ok(transcript.body.usage.cost.total > 0);
+  },
+};
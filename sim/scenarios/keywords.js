@@ -0,0 +1,38 @@
+// Keyword intents match whole words: "embora", "priceless" or "Dalessandro"
+// are not read as interest, while the real keyword in the next turn is.
+
+import assert from 'node:assert/strict';
+
+const POSITIVE = /^(meeting_request|pricing)=/;
+
+const TURNS = [
+  { scriptId: 'pt', nearMiss: 'Embora eu já marquei com outra empresa', hit: 'Bora, pode agendar' },
+  { scriptId: 'en', nearMiss: "That's priceless, we're budgeting and I rescheduled", hit: "What's the price?" },
+  { scriptId: 'es', nearMiss: 'Habla Dalessandro, no estoy de acuerdo', hit: 'Dale, agendemos' },
+];
+
+export default {
+  scripts: {
+    pt: { name: 'Português', locale: 'pt-BR' },
+    en: { name: 'English', locale: 'en' },
+    es: { name: 'Español', locale: 'es' },
+  },
+  replies: TURNS.map(() => ({ text: 'Olá!', audioMs: 200 })),
+
+  async run({ realtime, serverLog, call }) {
+    for (const { scriptId, nearMiss, hit } of TURNS) {
+      const since = realtime.log.events.length;
+      const twilio = await call({ customParameters: { scriptId } });
+      await realtime.log.waitFor('received',
+        (e) => e.type === 'session.update' && e.session.turn_detection?.type === 'server_vad', { since });
+
+      await realtime.userSays(nearMiss, { durationMs: 200, respond: false });
+      await realtime.userSays(hit, { durationMs: 200, respond: false });
+      const classified = (e) => e.type === 'intent.classified' && e.callSid === twilio.callSid;
+      await serverLog.waitFor('server', (e) => classified(e) && e.turn === 2 && e.intents.some((i) => POSITIVE.test(i)));
+      assert.equal(serverLog.filter('server', (e) => classified(e) && e.turn === 1 && e.intents.some((i) => POSITIVE.test(i))).length, 0,
+        `"${nearMiss}" is not interest`);
+      await twilio.hangup();
+    }
+  },
+};
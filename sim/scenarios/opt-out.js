@@ -0,0 +1,48 @@
+// Do-not-call: a caller asks by voice not to be called again, the assistant
+// confirms and hangs up with the opted_out outcome, and the next stream to
+// that number is rejected. A keypad menu option opts out the same way.
+
+import assert from 'node:assert/strict';
+
+export default {
+  scripts: {
+    outbound: { name: 'Outbound', dtmf: { menu: { 0: { action: 'opt_out' } } } },
+  },
+  replies: [
+    { text: 'Olá, aqui é a Zenix.', audioMs: 200 },
+    { text: 'Entendido.', audioMs: 300 },
+    { text: 'Olá, aqui é a Zenix.', audioMs: 200 },
+    { text: 'Entendido.', audioMs: 300 },
+  ],
+
+  async run({ realtime, backend, call }) {
+    const vadOn = (since) => realtime.log.waitFor('received',
+      (e) => e.type === 'session.update' && e.session.turn_detection?.type === 'server_vad', { since });
+
+    const first = await call({ customParameters: { scriptId: 'outbound', contactPhone: '+5511987654321' } });
+    await vadOn(0);
+    await realtime.userSays('Por favor, não me ligue mais', { durationMs: 200, respond: false });
+    await realtime.log.waitFor('received',
+      (e) => e.type === 'response.create' && /tirar o seu número/.test(e.response?.instructions));
+    assert.equal((await first.closed).code, 1005, 'the server hung up');
+
+    const optOut = await backend.log.waitFor('received', 'opt-out');
+    assert.equal(optOut.body.source, 'speech');
+    const analysis = await backend.log.waitFor('received', 'call-analysis', { timeoutMs: 8000 });
+    assert.equal(analysis.body.outcome, 'opted_out');
+
+    const again = await call({ customParameters: { scriptId: 'outbound', contactPhone: '5511987654321' } });
+    assert.equal((await again.closed).code, 1008, 'a listed number is rejected');
+
+    const since = realtime.log.events.length;
+    const keypad = await call({ customParameters: { scriptId: 'outbound', contactPhone: '+5521912345678' } });
+    await vadOn(since);
+    keypad.sendDigit('0');
+    await realtime.log.waitFor('received',
+      (e) => e.type === 'response.create' && /tirar o seu número/.test(e.response?.instructions), { since });
+    await keypad.closed;
+    const keyOptOut = await backend.log.waitFor('received',
+      (e) => e.type === 'opt-out' && e.body.source === 'dtmf');
+    assert.equal(keyOptOut.body.contactPhone, '+5521912345678');
+  },
+};
@@ -0,0 +1,35 @@
+// OpenAI drops mid-call with OpenAI's own voice: nothing can be synthesized
+// while the session is down, so the caller hears the hold clip until the new
+// session is restored, then the clip is cleared and the assistant picks up.
+
+import assert from 'node:assert/strict';
+
+export default {
+  replies: [
+    { text: 'Olá, aqui é a Zenix.', audioMs: 200 },
+    { text: 'Claro, me conta o que aconteceu.', audioMs: 200 },
+    { text: 'Desculpe, caiu por um instante. Onde estávamos?', audioMs: 200 },
+  ],
+
+  async run({ realtime, serverLog, call, sleep }) {
+    const twilio = await call();
+    await realtime.log.waitFor('received', (e) => e.type === 'session.update' && e.session.turn_detection?.type === 'server_vad');
+    await realtime.userSays('Meu pedido não chegou', { durationMs: 200 });
+    await realtime.log.waitFor('sent', (e) => e.type === 'response.audio_transcript.done' && /me conta/.test(e.transcript));
+    await sleep(300);
+
+    const since = twilio.log.events.length;
+    const realtimeSince = realtime.log.events.length;
+    realtime.dropConnection();
+    await serverLog.waitFor('server', 'openai.reconnecting');
+    const restored = await serverLog.waitFor('server', 'session.restored');
+    const held = twilio.log.filter('received', (e) => e.type === 'media' && e.at <= restored.at && twilio.log.events.indexOf(e) >= since);
+    assert.ok(held.length > 10, 'the caller hears the hold clip while reconnecting');
+    await twilio.log.waitFor('received', 'clear', { since });
+
+    await realtime.log.waitFor('sent', (e) => e.type === 'response.audio_transcript.done' && /Onde estávamos/.test(e.transcript),
+      { since: realtimeSince });
+    assert.equal(twilio.closeInfo, null);
+    await twilio.hangup();
+  },
+};
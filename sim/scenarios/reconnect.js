@@ -0,0 +1,51 @@
+// OpenAI drops mid-call: the caller hears the filler from the same voice
+// provider, the new session gets the same instructions and the conversation
+// so far, and the assistant picks up without a new greeting.
+
+import assert from 'node:assert/strict';
+
+export default {
+  env: { VOICE_PROVIDER: 'mock' },
+  scripts: {
+    support: { name: 'Support', systemPrompt: 'Você é a assistente de suporte da Zenix.' },
+  },
+  replies: [
+    { text: 'Olá, aqui é a Zenix.' },
+    { text: 'Claro, me conta o que aconteceu.' },
+    { text: 'Desculpe, caiu por um instante. Onde estávamos?' },
+  ],
+
+  async run({ realtime, serverLog, call, sleep }) {
+    const twilio = await call({ customParameters: { scriptId: 'support' } });
+    const configure = await realtime.log.waitFor('received', (e) => e.type === 'session.update' && e.session.instructions);
+    await realtime.log.waitFor('received', (e) => e.type === 'session.update' && e.session.turn_detection?.type === 'server_vad');
+    await realtime.userSays('Meu pedido não chegou', { durationMs: 200 });
+    await realtime.log.waitFor('sent', (e) => e.type === 'response.text.done' && /me conta/.test(e.text));
+    await sleep(300);
+
+    const audioBefore = twilio.log.filter('received', 'media').length;
+    const since = realtime.log.events.length;
+    realtime.dropConnection();
+    await serverLog.waitFor('server', 'openai.reconnecting');
+    await realtime.log.waitFor('sent', 'connection.opened', { since });
+    assert.ok(twilio.log.filter('received', 'media').length > audioBefore, 'the filler is spoken while reconnecting');
+
+    const restored = await realtime.log.waitFor('received', (e) => e.type === 'session.update' && e.session.instructions, { since });
+    assert.match(restored.session.instructions, /assistente de suporte/);
+    assert.equal(restored.session.instructions, configure.session.instructions);
+    const resumed = await realtime.log.waitFor('received', 'response.create', { since });
+    assert.equal(resumed.response.instructions, undefined, 'the session instructions stay in force');
+
+    const items = realtime.log.filter('received', (e) => e.type === 'conversation.item.create' && realtime.log.events.indexOf(e) > since);
+    const texts = items.map((e) => e.item.content?.[0]?.text);
+    assert.ok(texts.includes('Meu pedido não chegou'), 'the caller turn is replayed');
+    assert.ok(texts.includes('Claro, me conta o que aconteceu.'), 'the assistant turn is replayed');
+    assert.equal(items[items.length - 1].item.role, 'system', 'a note asks the model to pick up where it left off');
+
+    await realtime.log.waitFor('sent', (e) => e.type === 'response.text.done' && /Onde estávamos/.test(e.text), { since });
+    assert.equal(realtime.connections.length, 2);
+    assert.equal(serverLog.filter('server', 'greeting.requested').length, 1, 'no second greeting');
+    assert.equal(twilio.closeInfo, null);
+    await twilio.hangup();
+  },
+};
@@ -0,0 +1,28 @@
+// Caller goes quiet after the greeting: one reprompt, then a goodbye and a
+// hang-up recorded as the silence_timeout outcome.
+
+import assert from 'node:assert/strict';
+
+export default {
+  scripts: {
+    quiet: { name: 'Quiet', timers: { silenceSeconds: 1, silencePrompts: 1 } },
+  },
+  replies: [{ text: 'Olá, aqui é a Zenix.', audioMs: 400 }],
+
+  async run({ realtime, backend, call }) {
+    const twilio = await call({ customParameters: { scriptId: 'quiet' } });
+    await realtime.log.waitFor('received',
+      (e) => e.type === 'session.update' && e.session.turn_detection?.type === 'server_vad');
+
+    const reprompt = await realtime.log.waitFor('received',
+      (e) => e.type === 'response.create' && /você ainda está aí/.test(e.response?.instructions), { timeoutMs: 5000 });
+    const goodbye = await realtime.log.waitFor('received',
+      (e) => e.type === 'response.create' && /ligação ficou muda/.test(e.response?.instructions), { timeoutMs: 5000 });
+    assert.ok(goodbye.at - reprompt.at >= 1000, 'the goodbye waits for another silence period');
+
+    const closeInfo = await twilio.closed;
+    assert.equal(closeInfo.code, 1005, 'the server hung up');
+    const analysis = await backend.log.waitFor('received', 'call-analysis', { timeoutMs: 8000 });
+    assert.equal(analysis.body.outcome, 'silence_timeout');
+  },
+};
@@ -0,0 +1,31 @@
+// The model doesn't answer a caller turn: the recovery sentence is spoken
+// and the call goes on once audio flows again.
+
+import assert from 'node:assert/strict';
+
+export default {
+  scripts: {
+    stall: { name: 'Stall', timers: { stallSeconds: 1, silenceSeconds: 0 } },
+  },
+  replies: [{ text: 'Olá!', audioMs: 200 }, { text: 'Desculpa, tive um probleminha aqui.', audioMs: 400 }],
+
+  async run({ realtime, call, sleep }) {
+    const twilio = await call({ customParameters: { scriptId: 'stall' } });
+    await realtime.log.waitFor('received',
+      (e) => e.type === 'session.update' && e.session.turn_detection?.type === 'server_vad');
+
+    const since = realtime.log.events.length;
+    await realtime.userSays('Quanto custa?', { durationMs: 200, respond: false });
+    const recovery = await realtime.log.waitFor('received',
+      (e) => e.type === 'response.create' && /tive um probleminha/.test(e.response?.instructions), { since, timeoutMs: 3000 });
+    const stoppedAt = realtime.log.filter('sent', 'input_audio_buffer.speech_stopped').pop().at;
+    assert.ok(recovery.at - stoppedAt >= 1000, 'recovery only after the stall timeout');
+
+    await realtime.log.waitFor('sent', 'response.done', { since: realtime.log.events.indexOf(recovery) });
+    await sleep(1500);
+    assert.equal(twilio.closeInfo, null, 'the call goes on after the recovery');
+    assert.equal(realtime.log.filter('received', 'response.create').length, 2, 'no further recoveries');
+
+    await twilio.hangup();
+  },
+};
@@ -0,0 +1,124 @@
+// Warm transfer: the model asks for a human, agents are dialed in order
+// until one answers (a repeated answered callback redirects the caller only
+// once), and when nobody answers the AI takes the call back.
+// The fake backend stands in for the Twilio REST API.
+
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+
+const PUBLIC_BASE_URL = 'https://voice.example.com';
+const TWILIO_AUTH_TOKEN = 'sim-token';
+
+let agentCalls = 0;
+
+// Status callback for an agent leg, signed like Twilio signs it
+function agentStatus(server, statusCallback, params) {
+  const data = Object.keys(params).sort().reduce((acc, key) => acc + key + params[key], statusCallback);
+  return fetch(`${server.httpUrl}${statusCallback.slice(PUBLIC_BASE_URL.length)}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'X-Twilio-Signature': createHmac('sha1', TWILIO_AUTH_TOKEN).update(data).digest('base64'),
+    },
+    body: new URLSearchParams(params).toString(),
+  });
+}
+
+export default {
+  env: ({ backend }) => ({
+    TWILIO_API_BASE_URL: backend.url,
+    TWILIO_ACCOUNT_SID: 'ACsimulator',
+    TWILIO_AUTH_TOKEN,
+    TWILIO_FROM_NUMBER: '+551130000000',
+    PUBLIC_BASE_URL,
+    OPENAI_API_BASE_URL: backend.url, // handoff summary: falls back to the transcript
+  }),
+  scripts: {
+    handoff: {
+      name: 'Handoff',
+      transfer: {
+        agents: [{ name: 'Ana', phone: '+5511900000001' }, { name: 'Bruno', phone: '+5511900000002' }],
+      },
+    },
+  },
+  respond(path) {
+    if (path.endsWith('/Calls.json')) return { status: 201, body: { sid: `CAagent${++agentCalls}` } };
+    return null;
+  },
+  replies: [
+    { text: 'Olá, aqui é a Zenix.', audioMs: 200 },
+    { functionCall: { name: 'transfer_to_human', arguments: { reason: 'cliente pediu' } } },
+    { text: 'Vou te transferir agora.', audioMs: 200 },
+    { text: 'Olá, aqui é a Zenix.', audioMs: 200 },
+    { functionCall: { name: 'transfer_to_human', arguments: { reason: 'cliente pediu' } } },
+    { text: 'Vou te transferir agora.', audioMs: 200 },
+    { text: 'Ninguém pôde atender agora, um especialista vai te ligar.', audioMs: 200 },
+  ],
+
+  async run({ realtime, backend, serverLog, server, call, sleep }) {
+    const dialed = (since) => backend.log.waitFor('received', (e) => e.path.endsWith('/Calls.json'), { since });
+    // The server only knows the agent leg once Twilio has answered the create request
+    const dialing = (agentCallSid) => serverLog.waitFor('server', (e) => e.type === 'agent.dialing' && e.agentCallSid === agentCallSid);
+    const vadOn = (since) => realtime.log.waitFor('received',
+      (e) => e.type === 'session.update' && e.session.turn_detection?.type === 'server_vad', { since });
+
+    const malformed = await fetch(`${server.httpUrl}/transfers/twilio-status`, {
+      method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{',
+    });
+    assert.equal(malformed.status, 400, 'a malformed callback is refused, not retried on a 500');
+
+    // Ana doesn't answer, Bruno does
+    const twilio = await call({ customParameters: { scriptId: 'handoff', contactPhone: '+5511987654321' } });
+    await vadOn(0);
+    await realtime.userSays('Quero falar com uma pessoa', { durationMs: 200 });
+    const ana = await dialed(0);
+    assert.equal(ana.body.To, '+5511900000001');
+    assert.match(ana.body.Twiml, /^<Response><Say language="pt-BR">Transferência de cliente\. /);
+
+    let since = backend.log.events.length;
+    await dialing('CAagent1');
+    await agentStatus(server, ana.body.StatusCallback, { CallSid: 'CAagent1', CallStatus: 'no-answer' });
+    const bruno = await dialed(since);
+    assert.equal(bruno.body.To, '+5511900000002');
+
+    since = backend.log.events.length;
+    await dialing('CAagent2');
+    await Promise.all([1, 2].map(() => agentStatus(server, bruno.body.StatusCallback, { CallSid: 'CAagent2', CallStatus: 'in-progress' })));
+    const redirect = await backend.log.waitFor('received', (e) => e.path.endsWith(`/Calls/${twilio.callSid}.json`), { since });
+    assert.match(redirect.body.Twiml, /<Conference /);
+    const connected = await backend.log.waitFor('received', (e) => e.type === 'transfer' && e.body.callSid === twilio.callSid);
+    assert.equal(connected.body.status, 'connected');
+    assert.equal(connected.body.agent.name, 'Bruno');
+    assert.equal(backend.log.filter('received', (e) => e.path.endsWith(`/Calls/${twilio.callSid}.json`)).length, 1,
+      'the caller is redirected once');
+
+    // The redirect into the conference ends the stream
+    await twilio.hangup();
+    const analysis = await backend.log.waitFor('received', (e) => e.type === 'call-analysis' && e.body.callSid === twilio.callSid, { timeoutMs: 8000 });
+    assert.equal(analysis.body.outcome, 'transferred');
+
+    // Nobody answers: the AI resumes the call
+    since = realtime.log.events.length;
+    const backendSince = backend.log.events.length;
+    const second = await call({ customParameters: { scriptId: 'handoff', contactPhone: '+5521912345678' } });
+    await vadOn(since);
+    await realtime.userSays('Quero falar com uma pessoa', { durationMs: 200 });
+    const first = await dialed(backendSince);
+    await realtime.log.waitFor('sent', (e) => e.type === 'response.audio_transcript.done' && /transferir/.test(e.transcript), { since });
+    await sleep(400); // the announcement plays, then the caller is on hold
+    await dialing('CAagent3');
+    await agentStatus(server, first.body.StatusCallback, { CallSid: 'CAagent3', CallStatus: 'busy' });
+    const next = await dialed(backend.log.events.indexOf(first) + 1);
+    await dialing('CAagent4');
+    await agentStatus(server, next.body.StatusCallback, { CallSid: 'CAagent4', CallStatus: 'failed' });
+
+    const callback = await realtime.log.waitFor('received',
+      (e) => e.type === 'conversation.item.create' && /Nenhum especialista/.test(e.item.content?.[0]?.text), { since });
+    await realtime.log.waitFor('sent', (e) => e.type === 'response.audio_transcript.done' && /vai te ligar/.test(e.transcript),
+      { since: realtime.log.events.indexOf(callback) });
+    const failed = await backend.log.waitFor('received', (e) => e.type === 'transfer' && e.body.callSid === second.callSid);
+    assert.equal(failed.body.status, 'no_answer');
+    assert.equal(second.closeInfo, null, 'the caller stays on the line');
+    await second.hangup();
+  },
+};
@@ -0,0 +1,58 @@
+// Voicemail: Twilio AMD and a voicemail phrase both leave the script's
+// message and hang up, while a person answering with one long sentence is
+// not mistaken for a machine.
+
+import assert from 'node:assert/strict';
+
+const MESSAGE = 'Olá, aqui é a Zenix. Retorne quando puder.';
+
+export default {
+  env: ({ backend }) => ({ OPENAI_API_BASE_URL: backend.url }), // analysis falls back to the session signals
+  scripts: {
+    vm: { name: 'Voicemail', voicemail: { message: MESSAGE, heuristics: true, beepTimeoutSeconds: 1 } },
+  },
+  replies: [
+    { text: MESSAGE, audioMs: 300 },
+    { text: 'Olá, aqui é a Zenix.', audioMs: 200 },
+    { text: MESSAGE, audioMs: 300 },
+    { text: 'Olá, aqui é a Zenix.', audioMs: 200 },
+    { text: 'Que bom falar com você, Marcos!', audioMs: 200 },
+  ],
+
+  async run({ realtime, backend, serverLog, call }) {
+    const outcomeOf = async (twilio) => (await backend.log.waitFor('received',
+      (e) => e.type === 'call-analysis' && e.body.callSid === twilio.callSid, { timeoutMs: 8000 })).body.outcome;
+    const vadOn = (since) => realtime.log.waitFor('received',
+      (e) => e.type === 'session.update' && e.session.turn_detection?.type === 'server_vad', { since });
+
+    // AMD already heard the beep: the message goes out instead of the greeting
+    const machine = await call({ customParameters: { scriptId: 'vm', answeredBy: 'machine_end_beep' } });
+    const message = await realtime.log.waitFor('received', 'response.create');
+    assert.match(message.response.instructions, /Retorne quando puder/);
+    await machine.closed;
+    assert.equal(await outcomeOf(machine), 'voicemail');
+    assert.equal(serverLog.filter('server', 'greeting.requested').length, 0, 'no greeting for a machine');
+
+    // A voicemail phrase on the first turn, then the message after the beep timeout
+    let since = realtime.log.events.length;
+    const phrase = await call({ customParameters: { scriptId: 'vm' } });
+    await vadOn(since);
+    await realtime.userSays('Olá, deixe sua mensagem após o sinal', { durationMs: 1500, respond: false });
+    const detected = await serverLog.waitFor('server', (e) => e.type === 'voicemail.detected' && e.callSid === phrase.callSid);
+    assert.equal(detected.reason, 'phrase:deixe sua mensagem');
+    await realtime.log.waitFor('received', (e) => e.type === 'response.create' && /Retorne quando puder/.test(e.response?.instructions), { since });
+    await phrase.closed;
+    assert.equal(await outcomeOf(phrase), 'voicemail');
+
+    // A person: long first turn, but not a recorded greeting
+    since = realtime.log.events.length;
+    const human = await call({ customParameters: { scriptId: 'vm' } });
+    await vadOn(since);
+    await realtime.userSays('Oi, aqui é o Marcos, eu estava esperando a ligação de vocês desde ontem, pode falar', { durationMs: 9000 });
+    await realtime.log.waitFor('sent', (e) => e.type === 'response.audio_transcript.done' && /Marcos/.test(e.transcript), { since });
+    assert.equal(serverLog.filter('server', (e) => e.type === 'voicemail.detected' && e.callSid === human.callSid).length, 0);
+    assert.equal(human.closeInfo, null);
+    await human.hangup();
+    assert.notEqual(await outcomeOf(human), 'voicemail');
+  },
+};
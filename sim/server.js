@@ -0,0 +1,75 @@
+// ============================================================
+// SERVER PROCESS
+// Spawns server.js on a free port with the given env and resolves once it
+// logs server.listening. Its JSON log lines are pushed to serverLog as
+// 'server' events (type = the log line's event). Used by the simulator and
+// the replay CLI.
+// ============================================================
+
+import { spawn } from 'child_process';
+import { createServer } from 'net';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+export const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+export function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = createServer();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// verbose: echo every log line to the console
+export async function startServer(env, serverLog, { verbose = false } = {}) {
+  const port = await freePort();
+  const since = serverLog.events.length; // the log may already hold an earlier process
+  const child = spawn(process.execPath, [join(ROOT, 'server.js')], {
+    cwd: ROOT,
+    env: { ...process.env, PORT: String(port), ...env },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  const onLine = (line) => {
+    if (!line.trim()) return;
+    if (verbose) console.log(`    ${line}`);
+    try {
+      const entry = JSON.parse(line);
+      serverLog.push('server', { ...entry, type: entry.event });
+    } catch {
+      serverLog.push('server', { type: 'raw', line });
+    }
+  };
+  for (const stream of [child.stdout, child.stderr]) {
+    let buffered = '';
+    stream.on('data', (data) => {
+      buffered += data;
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+      lines.forEach(onLine);
+    });
+  }
+
+  const exited = new Promise((resolve) => child.on('exit', resolve));
+  await Promise.race([
+    serverLog.waitFor('server', 'server.listening', { timeoutMs: 10000, since }),
+    exited.then((code) => { throw new Error(`server.js exited with code ${code}`); }),
+  ]);
+  return {
+    url: `ws://127.0.0.1:${port}`,
+    httpUrl: `http://127.0.0.1:${port}`,
+    exited, // resolves with the exit code
+    signal(name) {
+      child.kill(name);
+    },
+    stop() {
+      if (child.exitCode !== null) return Promise.resolve();
+      child.kill('SIGKILL');
+      return exited;
+    },
+  };
+}
@@ -0,0 +1,140 @@
+// ============================================================
+// FAKE TWILIO MEDIA STREAMS CLIENT
+// Connects to /media-stream like Twilio does: connected + start (with
+// customParameters), a media frame of caller audio every 20ms, and marks
+// echoed back once the audio queued before them has "played". Playback
+// runs in real time, so a clear (barge-in) cuts it like on a real call.
+//
+//   const call = await connectFakeTwilioCall({ url: 'ws://127.0.0.1:8080/media-stream',
+//     customParameters: { scriptId: '42' } });
+//   await call.log.waitFor('received', 'clear');
+//   await call.hangup();
+//
+// startAfter (a promise) holds the start event back, like a stream that
+// connects well before Twilio sends start.
+// ============================================================
+
+import { WebSocket } from 'ws';
+import { randomUUID } from 'crypto';
+import { createEventLog } from './events.js';
+
+const FRAME_MS = 20;
+const SILENCE_FRAME = Buffer.alloc(160, 0xff).toString('base64');
+
+export function connectFakeTwilioCall({
+  url,
+  streamSid = `MZ${randomUUID().replace(/-/g, '')}`,
+  callSid = `CA${randomUUID().replace(/-/g, '')}`,
+  customParameters = {},
+  headers = {},
+  startAfter = null,
+} = {}) {
+  const log = createEventLog();
+  const socket = new WebSocket(url, { headers });
+  const playback = []; // queued { media } and { mark } items, played in order
+  let timestamp = 0;
+  let chunk = 0;
+  let mediaTimer = null;
+  let playbackTimer = null;
+  let closeInfo = null;
+
+  function send(event) {
+    if (socket.readyState !== WebSocket.OPEN) return;
+    log.push('sent', { type: event.event, ...event });
+    socket.send(JSON.stringify(event));
+  }
+
+  // Caller audio: one frame per 20ms of wall time, like a live call
+  function sendMediaFrame(payload = SILENCE_FRAME) {
+    timestamp += FRAME_MS;
+    chunk++;
+    socket.send(JSON.stringify({
+      event: 'media',
+      streamSid,
+      media: { track: 'inbound', chunk: String(chunk), timestamp: String(timestamp), payload },
+    }));
+  }
+
+  // Play one queued frame per 20ms; marks are acknowledged when reached
+  function playNext() {
+    while (playback.length > 0 && playback[0].mark) {
+      const { mark } = playback.shift();
+      send({ event: 'mark', streamSid, mark: { name: mark } });
+    }
+    if (playback.length > 0) playback.shift();
+  }
+
+  socket.on('message', (message) => {
+    const event = JSON.parse(message.toString());
+    log.push('received', { type: event.event, ...event });
+    if (event.event === 'media') playback.push({ media: event.media.payload });
+    if (event.event === 'mark') playback.push({ mark: event.mark.name });
+    // Twilio drops the buffered audio and returns every pending mark
+    if (event.event === 'clear') {
+      const marks = playback.filter((item) => item.mark);
+      playback.length = 0;
+      for (const { mark } of marks) send({ event: 'mark', streamSid, mark: { name: mark } });
+    }
+  });
+
+  const closed = new Promise((resolve) => {
+    socket.on('close', (code, reason) => {
+      clearInterval(mediaTimer);
+      clearInterval(playbackTimer);
+      closeInfo = { code, reason: reason.toString() };
+      log.push('received', { type: 'socket.closed', ...closeInfo });
+      resolve(closeInfo);
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    socket.on('error', reject);
+    socket.on('open', () => {
+      send({ event: 'connected', protocol: 'Call', version: '1.0.0' });
+      Promise.resolve(startAfter).then(() => {
+        if (socket.readyState !== WebSocket.OPEN) return;
+        send({
+          event: 'start',
+          sequenceNumber: '1',
+          streamSid,
+          start: {
+            streamSid, callSid, accountSid: 'ACsimulator', tracks: ['inbound'],
+            mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 },
+            customParameters,
+          },
+        });
+        mediaTimer = setInterval(() => {
+          if (socket.readyState === WebSocket.OPEN) sendMediaFrame();
+        }, FRAME_MS);
+        playbackTimer = setInterval(playNext, FRAME_MS);
+      });
+
+      resolve({
+        log,
+        streamSid,
+        callSid,
+        closed,
+
+        get closeInfo() {
+          return closeInfo;
+        },
+
+        // Audio still queued for the caller, in ms
+        get bufferedMs() {
+          return playback.filter((item) => item.media).length * FRAME_MS;
+        },
+
+        sendDigit(digit) {
+          send({ event: 'dtmf', streamSid, dtmf: { track: 'inbound_track', digit: String(digit) } });
+        },
+
+        // Caller hangs up: stop event, then the socket closes
+        async hangup() {
+          send({ event: 'stop', streamSid, stop: { accountSid: 'ACsimulator', callSid } });
+          socket.close();
+          return closed;
+        },
+      });
+    });
+  });
+}